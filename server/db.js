@@ -75,6 +75,14 @@ const initializeDatabase = async () => {
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       );
 
+      CREATE TABLE IF NOT EXISTS comment_likes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        comment_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(user_id, comment_id)
+      );
+
       CREATE TABLE IF NOT EXISTS follows (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         follower_id UUID REFERENCES users(id) ON DELETE CASCADE,
@@ -163,6 +171,179 @@ const initializeDatabase = async () => {
         UNIQUE(user_id, post_id)
       );
 
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+        previous_refresh_token_hash VARCHAR(64),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_previous_hash ON sessions(previous_refresh_token_hash);
+
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        code_hash VARCHAR(64) NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user ON email_verification_tokens(user_id);
+
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email VARCHAR(255) NOT NULL,
+        ip VARCHAR(64),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        success BOOLEAN NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip, created_at DESC);
+
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(20) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(provider, subject)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id);
+
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        token_prefix VARCHAR(20) NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user ON personal_access_tokens(user_id);
+
+      CREATE TABLE IF NOT EXISTS xp_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        action_type VARCHAR(50) NOT NULL,
+        amount INTEGER NOT NULL,
+        xp_after INTEGER NOT NULL,
+        level_after INTEGER NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_xp_events_user ON xp_events(user_id, created_at DESC);
+
+      CREATE TABLE IF NOT EXISTS video_watches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+        watch_count INTEGER NOT NULL DEFAULT 1,
+        first_watched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_watched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(user_id, video_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_video_watches_user ON video_watches(user_id, last_watched_at DESC);
+
+      CREATE TABLE IF NOT EXISTS video_watch_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+        watched_seconds REAL CHECK (watched_seconds >= 0),
+        completion_ratio REAL CHECK (completion_ratio BETWEEN 0 AND 1),
+        counted BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_video_watch_events_user ON video_watch_events(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_video_watch_events_video ON video_watch_events(video_id, created_at DESC);
+
+      -- Each row holds the metadata a video had *before* an edit; changed_fields lists what the edit changed
+      CREATE TABLE IF NOT EXISTS video_revisions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+        editor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        title VARCHAR(60) NOT NULL,
+        description VARCHAR(300),
+        category VARCHAR(50) NOT NULL,
+        tags TEXT[] DEFAULT '{}',
+        thumbnail_url TEXT,
+        comments_enabled BOOLEAN,
+        search_language VARCHAR(20),
+        changed_fields TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_video_revisions_video ON video_revisions(video_id, created_at DESC);
+
+      -- Ordered steps of a video; positions are 0-based and start_seconds increase with them
+      CREATE TABLE IF NOT EXISTS video_chapters (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        start_seconds INTEGER NOT NULL CHECK (start_seconds >= 0),
+        title VARCHAR(80) NOT NULL,
+        safety_note VARCHAR(300),
+        UNIQUE(video_id, position)
+      );
+
+      -- Tools and parts needed to follow a video, in the author's order
+      CREATE TABLE IF NOT EXISTS video_materials (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        kind VARCHAR(10) NOT NULL CHECK (kind IN ('tool', 'part')),
+        name VARCHAR(100) NOT NULL,
+        quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+        spec VARCHAR(100),
+        is_optional BOOLEAN NOT NULL DEFAULT false,
+        UNIQUE(video_id, position)
+      );
+
+      CREATE TABLE IF NOT EXISTS video_watch_cooldowns (
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+        last_counted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, video_id)
+      );
+
       CREATE INDEX IF NOT EXISTS idx_xp_daily_logins_user ON xp_daily_logins(user_id);
       CREATE INDEX IF NOT EXISTS idx_xp_daily_logins_date ON xp_daily_logins(login_date);
       CREATE INDEX IF NOT EXISTS idx_xp_post_comments_user ON xp_post_comments(user_id);
@@ -178,6 +359,7 @@ const initializeDatabase = async () => {
       CREATE INDEX IF NOT EXISTS idx_videos_category ON videos(category);
       CREATE INDEX IF NOT EXISTS idx_videos_created ON videos(created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_video_likes_video ON video_likes(video_id);
+      CREATE INDEX IF NOT EXISTS idx_video_likes_user ON video_likes(user_id);
       CREATE INDEX IF NOT EXISTS idx_video_saves_user ON video_saves(user_id);
       CREATE INDEX IF NOT EXISTS idx_comments_video ON comments(video_id);
       CREATE INDEX IF NOT EXISTS idx_follows_follower ON follows(follower_id);
@@ -199,9 +381,145 @@ const initializeDatabase = async () => {
         IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'blocked_user_ids') THEN
           ALTER TABLE users ADD COLUMN blocked_user_ids UUID[] DEFAULT '{}';
         END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'email_verified') THEN
+          ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT false;
+          -- Accounts created before verification existed keep full access
+          UPDATE users SET email_verified = true;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'deleted_at') THEN
+          ALTER TABLE users ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'role') THEN
+          ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin'));
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'totp_enabled') THEN
+          ALTER TABLE users ADD COLUMN totp_enabled BOOLEAN DEFAULT false;
+          ALTER TABLE users ADD COLUMN totp_secret TEXT;
+          ALTER TABLE users ADD COLUMN totp_last_used_step BIGINT;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'device_name') THEN
+          ALTER TABLE sessions ADD COLUMN device_name VARCHAR(100);
+          ALTER TABLE sessions ADD COLUMN platform VARCHAR(30);
+          ALTER TABLE sessions ADD COLUMN ip VARCHAR(64);
+          ALTER TABLE sessions ADD COLUMN user_agent TEXT;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'processing_status') THEN
+          ALTER TABLE videos ADD COLUMN processing_status VARCHAR(20) NOT NULL DEFAULT 'ready' CHECK (processing_status IN ('processing', 'ready', 'failed'));
+          ALTER TABLE videos ADD COLUMN processing_error TEXT;
+          ALTER TABLE videos ADD COLUMN file_size BIGINT;
+          ALTER TABLE videos ADD COLUMN mime_type VARCHAR(50);
+          -- Uploaded videos only know their duration once the server has inspected the file
+          ALTER TABLE videos ALTER COLUMN duration DROP NOT NULL;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'storage_key') THEN
+          -- Set by the server when an upload is stored; video_url only ever holds external links.
+          -- Existing uploads are adopted only when their URL names the row's own file.
+          ALTER TABLE videos ADD COLUMN storage_key VARCHAR(255);
+          UPDATE videos SET storage_key = substring(video_url FROM 10), video_url = NULL
+          WHERE video_url ~ ('^/uploads/videos/' || id::text || '[.](mp4|mov)$');
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'video_codec') THEN
+          ALTER TABLE videos ADD COLUMN width INTEGER;
+          ALTER TABLE videos ADD COLUMN height INTEGER;
+          ALTER TABLE videos ADD COLUMN video_codec VARCHAR(20);
+          ALTER TABLE videos ADD COLUMN audio_codec VARCHAR(20);
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'search_language') THEN
+          ALTER TABLE videos ADD COLUMN search_language VARCHAR(20) NOT NULL DEFAULT 'english';
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'visibility') THEN
+          ALTER TABLE videos ADD COLUMN visibility VARCHAR(20) NOT NULL DEFAULT 'published' CHECK (visibility IN ('draft', 'scheduled', 'published', 'unlisted'));
+          ALTER TABLE videos ADD COLUMN publish_at TIMESTAMP WITH TIME ZONE;
+          ALTER TABLE videos ADD COLUMN published_at TIMESTAMP WITH TIME ZONE;
+          UPDATE videos SET published_at = created_at;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'chapters_text') THEN
+          -- Chapter titles and safety notes, copied here so the search trigger can index them
+          ALTER TABLE videos ADD COLUMN chapters_text TEXT;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'views_count') THEN
+          ALTER TABLE videos ADD COLUMN views_count INTEGER DEFAULT 0;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'comments' AND column_name = 'parent_id') THEN
+          -- Replies are one level deep: parent_id always points at a top-level comment
+          ALTER TABLE comments ADD COLUMN parent_id UUID REFERENCES comments(id) ON DELETE CASCADE;
+          ALTER TABLE comments ADD COLUMN edited_at TIMESTAMP WITH TIME ZONE;
+          ALTER TABLE comments ADD COLUMN likes_count INTEGER DEFAULT 0;
+          ALTER TABLE comments ADD COLUMN replies_count INTEGER DEFAULT 0;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'comments' AND column_name = 'status') THEN
+          ALTER TABLE comments ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'visible' CHECK (status IN ('visible', 'held', 'hidden'));
+          ALTER TABLE videos ADD COLUMN pinned_comment_id UUID REFERENCES comments(id) ON DELETE SET NULL;
+          ALTER TABLE videos ADD COLUMN comments_followers_only BOOLEAN NOT NULL DEFAULT false;
+          ALTER TABLE videos ADD COLUMN held_keywords TEXT[] NOT NULL DEFAULT '{}';
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'difficulty') THEN
+          ALTER TABLE videos ADD COLUMN difficulty VARCHAR(20) CHECK (difficulty IN ('beginner', 'intermediate', 'pro'));
+          ALTER TABLE videos ADD COLUMN estimated_minutes INTEGER CHECK (estimated_minutes > 0);
+          -- Whole units of the app's currency
+          ALTER TABLE videos ADD COLUMN estimated_cost INTEGER CHECK (estimated_cost >= 0);
+          ALTER TABLE videos ADD COLUMN requires_permit BOOLEAN NOT NULL DEFAULT false;
+          ALTER TABLE videos ADD COLUMN professional_only BOOLEAN NOT NULL DEFAULT false;
+          ALTER TABLE video_revisions ADD COLUMN difficulty VARCHAR(20);
+          ALTER TABLE video_revisions ADD COLUMN estimated_minutes INTEGER;
+          ALTER TABLE video_revisions ADD COLUMN estimated_cost INTEGER;
+          ALTER TABLE video_revisions ADD COLUMN requires_permit BOOLEAN;
+          ALTER TABLE video_revisions ADD COLUMN professional_only BOOLEAN;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'video_watches' AND column_name = 'max_completion_ratio') THEN
+          ALTER TABLE video_watches ADD COLUMN last_watched_seconds REAL;
+          ALTER TABLE video_watches ADD COLUMN max_completion_ratio REAL;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'followers_notified_at') THEN
+          -- Followers hear about a video once, when it is first both published and ready
+          ALTER TABLE videos ADD COLUMN followers_notified_at TIMESTAMP WITH TIME ZONE;
+          UPDATE videos SET followers_notified_at = published_at WHERE published_at IS NOT NULL;
+        END IF;
+        IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'videos' AND column_name = 'processing_started_at') THEN
+          -- Lets any instance tell uploads that are still being processed from abandoned ones
+          ALTER TABLE videos ADD COLUMN processing_started_at TIMESTAMP WITH TIME ZONE;
+          UPDATE videos SET processing_started_at = created_at WHERE processing_status = 'processing';
+        END IF;
       END $$;
     `);
     
+    // Keep videos.search_text in sync: title (A), tags and chapters (B) and description (C),
+    // stemmed with the video's own text search configuration
+    await client.query(`
+      CREATE OR REPLACE FUNCTION videos_search_text_update() RETURNS trigger AS $$
+      DECLARE
+        config regconfig := COALESCE(NEW.search_language, 'english')::regconfig;
+      BEGIN
+        NEW.search_text :=
+          setweight(to_tsvector(config, COALESCE(NEW.title, '')), 'A') ||
+          setweight(to_tsvector(config, COALESCE(array_to_string(NEW.tags, ' '), '')), 'B') ||
+          setweight(to_tsvector(config, COALESCE(NEW.chapters_text, '')), 'B') ||
+          setweight(to_tsvector(config, COALESCE(NEW.description, '')), 'C');
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql;
+      
+      DROP TRIGGER IF EXISTS videos_search_text_trigger ON videos;
+      CREATE TRIGGER videos_search_text_trigger
+        BEFORE INSERT OR UPDATE OF title, description, tags, chapters_text, search_language ON videos
+        FOR EACH ROW EXECUTE FUNCTION videos_search_text_update();
+      
+      UPDATE videos SET search_language = search_language WHERE search_text IS NULL;
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_comment_likes_comment ON comment_likes(comment_id);
+      CREATE INDEX IF NOT EXISTS idx_comments_held ON comments(video_id, created_at) WHERE status = 'held';
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_videos_published ON videos(published_at DESC) WHERE visibility = 'published';
+      CREATE INDEX IF NOT EXISTS idx_videos_scheduled ON videos(publish_at) WHERE visibility = 'scheduled';
+      CREATE INDEX IF NOT EXISTS idx_videos_estimated_minutes ON videos(estimated_minutes) WHERE visibility = 'published';
+      CREATE INDEX IF NOT EXISTS idx_videos_tags ON videos USING gin(tags);
+    `);
+    
     console.log('Database initialized successfully');
   } catch (error) {
     console.error('Database initialization error:', error);
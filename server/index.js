@@ -27,12 +27,27 @@
  *   - DATABASE_URL: PostgreSQL connection string (required)
  *   - OPENAI_API_KEY: OpenAI API key for AI features (optional but required for AI)
  *   - SESSION_SECRET: JWT secret for authentication
+ *   - ACCESS_TOKEN_TTL_SECONDS: Access token lifetime (default: 900)
+ *   - REFRESH_TOKEN_TTL_DAYS: Refresh token / session lifetime (default: 30)
+ *   - APP_URL: Base URL used for links in emails (reset password, ...)
+ *   - MAIL_TRANSPORT: "file" (default, writes to MAIL_OUTBOX_DIR), "console" or "smtp"
+ *   - MAIL_FROM, SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE: SMTP settings
+ *   - GOOGLE_CLIENT_IDS, APPLE_CLIENT_IDS: Accepted audiences for social login ID tokens
+ *   - OIDC_<PROVIDER>_JWKS_URL / _ISSUER / _CLIENT_IDS: Override a provider (see scripts/oidc-dev-issuer.js)
+ *   - UPLOAD_DIR: Where uploaded files are stored (default: server/uploads, served at /uploads)
+ *   - MAX_UPLOAD_MB: Maximum video upload size in MB (default: 100)
+ *   - FFMPEG_PATH: ffmpeg binary used for upload thumbnails (default: ffmpeg on PATH; skipped if missing)
  *   - BACKEND_PORT: Server port (default: 3001)
+ *   - TRUST_PROXY: Number of reverse proxy hops to trust for the client IP (used by login throttling)
  */
 
 const express = require("express");
-const path = require("path");
 const { initializeDatabase } = require("./db");
+const { pruneLoginAttempts } = require("./services/loginThrottle");
+const { pruneWatchCooldowns } = require("./services/watchHistory");
+const { UPLOAD_DIR } = require("./services/storage");
+const { failInterruptedUploads } = require("./services/videoProcessing");
+const { publishDueVideos } = require("./services/publishing");
 
 const authRoutes = require("./routes/auth");
 const videoRoutes = require("./routes/videos");
@@ -45,6 +60,10 @@ const reportsRoutes = require("./routes/reports");
 const { router: blockRoutes } = require("./routes/block");
 
 const app = express();
+
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 // Health check route
 app.get("/api/health", (req, res) => {
   res.json({ status: "ok" });
@@ -70,7 +89,11 @@ app.use((req, res, next) => {
   );
   res.header(
     "Access-Control-Allow-Headers",
-    "Content-Type, Authorization, X-Requested-With, Accept",
+    "Content-Type, Authorization, X-Requested-With, Accept, X-Device-Name, X-Platform, Range, If-Range",
+  );
+  res.header(
+    "Access-Control-Expose-Headers",
+    "Accept-Ranges, Content-Range, Content-Length, ETag, X-Next-Cursor",
   );
 
   if (req.method === "OPTIONS") {
@@ -82,7 +105,10 @@ app.use((req, res, next) => {
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// Video files go through GET /api/videos/:id/stream (access checks); only images are served statically
+app.use("/uploads/videos", (req, res) => res.status(404).json({ error: "Not found" }));
+app.use("/uploads/tmp", (req, res) => res.status(404).json({ error: "Not found" }));
+app.use("/uploads", express.static(UPLOAD_DIR));
 
 app.get("/api/health", (req, res) => {
   res.json({ status: "ok" });
@@ -124,6 +150,13 @@ async function startServer() {
     await initializeDatabase();
     console.log("Database initialized");
 
+    setInterval(pruneLoginAttempts, 60 * 60 * 1000);
+    setInterval(pruneWatchCooldowns, 60 * 60 * 1000);
+    setInterval(publishDueVideos, 60 * 1000);
+    setInterval(failInterruptedUploads, 5 * 60 * 1000);
+    await failInterruptedUploads();
+    await publishDueVideos();
+
     app.listen(PORT, "0.0.0.0", () => {
       console.log(`Server running on http://0.0.0.0:${PORT}`);
     });
@@ -1,9 +1,14 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { pool } = require('../db');
 
 const JWT_SECRET = process.env.SESSION_SECRET || 'quickfix-jwt-secret-key';
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '30d' });
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
 };
 
 const verifyToken = (token) => {
@@ -14,39 +19,233 @@ const verifyToken = (token) => {
   }
 };
 
-const authMiddleware = (req, res, next) => {
+// Issued after a correct password when 2FA is on; only /login/2fa accepts it
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa' }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS });
+};
+
+const verifyChallengeToken = (token) => {
+  const decoded = verifyToken(token);
+  return decoded && decoded.purpose === '2fa' ? decoded : null;
+};
+
+// Personal access tokens are opaque random strings with a recognizable prefix
+const PAT_PREFIX = 'qfp_';
+
+const PAT_SCOPES = [
+  'profile:read',
+  'videos:read',
+  'videos:write',
+  'toolbox:read',
+  'toolbox:write',
+  'community:read',
+  'community:write',
+  'users:read',
+  'users:write',
+  'notifications:read',
+  'notifications:write'
+];
+
+const hashPersonalAccessToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Resolves a bearer token to { userId, sessionId } (login JWT) or
+// { userId, tokenId, scopes } (personal access token), or null if the token
+// is invalid, expired, or revoked
+// Session last-seen/IP is written at most once per interval to keep requests cheap
+const SESSION_TOUCH_INTERVAL_SECONDS = 60;
+
+const resolveToken = async (token, ip = null) => {
+  if (token && token.startsWith(PAT_PREFIX)) {
+    const result = await pool.query(
+      `UPDATE personal_access_tokens SET last_used_at = NOW()
+       WHERE token_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+       RETURNING id, user_id, scopes`,
+      [hashPersonalAccessToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const pat = result.rows[0];
+    return { userId: pat.user_id, tokenId: pat.id, scopes: pat.scopes || [] };
+  }
+
+  const decoded = verifyToken(token);
+
+  if (!decoded || !decoded.sessionId || decoded.purpose) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT id, ip, last_used_at < NOW() - $3 * INTERVAL '1 second' as is_stale
+     FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [decoded.sessionId, decoded.userId, SESSION_TOUCH_INTERVAL_SECONDS]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const session = result.rows[0];
+  if (session.is_stale || (ip && session.ip !== ip)) {
+    pool.query(
+      'UPDATE sessions SET last_used_at = NOW(), ip = COALESCE($2, ip) WHERE id = $1',
+      [session.id, ip]
+    ).catch(error => console.error('[AUTH] Session touch error:', error));
+  }
+
+  return { userId: decoded.userId, sessionId: decoded.sessionId };
+};
+
+// Personal access tokens only work on routes that declare a scope with requireScope(),
+// so account management and anything not explicitly opened up stays session-only
+const routeAcceptsTokens = (req) => {
+  return !!req.route && req.route.stack.some(layer => layer.handle && layer.handle.requiredScope);
+};
+
+const applyAuth = (req, auth) => {
+  req.userId = auth.userId;
+  req.sessionId = auth.sessionId || null;
+  req.tokenId = auth.tokenId || null;
+  req.tokenScopes = auth.scopes || null;
+};
+
+const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
-  
+
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     console.log('[AUTH] No auth header or invalid format');
     return res.status(401).json({ error: 'Authentication required' });
   }
-  
+
   const token = authHeader.split(' ')[1];
-  const decoded = verifyToken(token);
-  
-  if (!decoded) {
-    console.log('[AUTH] Token verification failed. Token prefix:', token?.substring(0, 20) + '...');
-    return res.status(401).json({ error: 'Invalid or expired token' });
-  }
-  
-  console.log('[AUTH] Token verified for user:', decoded.userId);
-  req.userId = decoded.userId;
-  next();
+
+  try {
+    const auth = await resolveToken(token, req.ip);
+
+    if (!auth) {
+      console.log('[AUTH] Token verification failed. Token prefix:', token?.substring(0, token.startsWith(PAT_PREFIX) ? 8 : 20) + '...');
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (auth.scopes && !routeAcceptsTokens(req)) {
+      return res.status(403).json({ error: 'This endpoint does not accept personal access tokens' });
+    }
+
+    console.log('[AUTH] Token verified for user:', auth.userId);
+    applyAuth(req, auth);
+    next();
+  } catch (error) {
+    console.error('[AUTH] Session lookup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
 };
 
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
-  
+
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.split(' ')[1];
-    const decoded = verifyToken(token);
-    if (decoded) {
-      req.userId = decoded.userId;
+    try {
+      const auth = await resolveToken(token, req.ip);
+      if (auth && auth.scopes && !routeAcceptsTokens(req)) {
+        return res.status(403).json({ error: 'This endpoint does not accept personal access tokens' });
+      }
+      if (auth) {
+        applyAuth(req, auth);
+      }
+    } catch (error) {
+      console.error('[AUTH] Session lookup error:', error);
     }
   }
-  
+
   next();
 };
 
-module.exports = { generateToken, verifyToken, authMiddleware, optionalAuth };
+// Must run after authMiddleware; blocks accounts that have not confirmed their email
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT email_verified FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!result.rows[0].email_verified) {
+      return res.status(403).json({ error: 'Please verify your email address first', emailVerificationRequired: true });
+    }
+
+    next();
+  } catch (error) {
+    console.error('[AUTH] Email verification check error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Must run after authMiddleware/optionalAuth. Personal access tokens need the
+// scope; login sessions and anonymous requests pass through unchanged.
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.tokenScopes && !req.tokenScopes.includes(scope)) {
+      return res.status(403).json({ error: `Token is missing the ${scope} scope` });
+    }
+    next();
+  };
+  middleware.requiredScope = scope;
+  return middleware;
+};
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Must run after authMiddleware; loads the user's role into req.userRole.
+// Admins pass every role check.
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT role FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const role = result.rows[0].role || 'user';
+    req.userRole = role;
+
+    if (role !== 'admin' && !roles.includes(role)) {
+      console.log(`[AUTH] User ${req.userId} with role ${role} denied, requires ${roles.join('/')}`);
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('[AUTH] Role check error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  ROLES,
+  PAT_PREFIX,
+  PAT_SCOPES,
+  generateToken,
+  verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashPersonalAccessToken,
+  authMiddleware,
+  optionalAuth,
+  requireVerifiedEmail,
+  requireRole,
+  requireScope
+};
@@ -1,11 +1,191 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { pool } = require('../db');
-const { generateToken, authMiddleware } = require('../middleware/auth');
+const { authMiddleware, optionalAuth, generateChallengeToken, verifyChallengeToken, requireScope, hashPersonalAccessToken, PAT_PREFIX, PAT_SCOPES } = require('../middleware/auth');
+const { hashToken, getDeviceInfo, createSession, rotateSession, listSessions, revokeSession, revokeSessionByRefreshToken, revokeAllSessions } = require('../services/sessions');
+const { sendMail, APP_URL } = require('../services/mail');
+const { exportUserData, deleteAccount } = require('../services/account');
+const { getProviderConfig, verifyIdToken } = require('../services/oidc');
+const { generateSecret, verifyCode, buildOtpauthUri, encryptSecret, decryptSecret, generateRecoveryCodes, normalizeRecoveryCode } = require('../services/totp');
+const { beginLoginAttempt, recordLoginFailure, recordLoginSuccess, discardLoginAttempt } = require('../services/loginThrottle');
 const { getNextLevelXp, getCurrentLevelXp, awardDailyLoginXp, XP_REWARDS } = require('../services/xp');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const EMAIL_VERIFICATION_MAX_ATTEMPTS = 5;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+// Stored for accounts without a password (social login only); never matches in bcrypt.compare
+const NO_PASSWORD_HASH = '!';
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('quickfix-dummy-password', 10);
+const MAX_PERSONAL_ACCESS_TOKENS = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Issues a fresh verification link + 6-digit code (invalidating older ones) and emails both
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  
+  await pool.query(
+    'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, code_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 hour')`,
+    [user.id, hashToken(token), hashToken(`${user.id}:${code}`), EMAIL_VERIFICATION_TTL_HOURS]
+  );
+  
+  const verifyUrl = `${APP_URL}/verify-email?token=${token}`;
+  
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your QuickFix email',
+    text: `Hi ${user.display_name},\n\nConfirm your email address by opening this link:\n\n${verifyUrl}\n\nOr enter this code in the app: ${code}\n\nThe link and code expire in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+}
+
+// Checks a TOTP code or an unused recovery code, consuming it on success
+async function verifySecondFactor(user, code) {
+  if (!code || !user.totp_secret) {
+    return false;
+  }
+  
+  const lastUsedStep = user.totp_last_used_step !== null ? Number(user.totp_last_used_step) : -1;
+  const step = verifyCode(decryptSecret(user.totp_secret), code, lastUsedStep);
+  
+  if (step !== null) {
+    const updated = await pool.query(
+      `UPDATE users SET totp_last_used_step = $1
+       WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+       RETURNING id`,
+      [step, user.id]
+    );
+    return updated.rows.length > 0;
+  }
+  
+  const recovery = await pool.query(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM two_factor_recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )
+     RETURNING id`,
+    [user.id, hashToken(normalizeRecoveryCode(code))]
+  );
+  
+  if (recovery.rows.length > 0) {
+    console.log(`[AUTH] Recovery code used by user ${user.id}`);
+    return true;
+  }
+  
+  return false;
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await pool.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, unnest($2::VARCHAR[])`,
+    [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]
+  );
+  
+  return codes;
+}
+
+// Re-authenticates a signed-in user before a sensitive change. Accounts created through
+// social login have no password; they confirm with a fresh ID token instead.
+// Returns an error message, or null when the identity is confirmed.
+async function confirmIdentity(userId, passwordHash, { password, provider, idToken }) {
+  if (passwordHash === NO_PASSWORD_HASH) {
+    if (!provider || !idToken) {
+      return 'Provider and ID token are required';
+    }
+    
+    const verification = await verifyIdToken(provider, idToken);
+    const linked = verification.success && await pool.query(
+      'SELECT id FROM user_identities WHERE user_id = $1 AND provider = $2 AND subject = $3',
+      [userId, provider, verification.identity.subject]
+    );
+    
+    if (!linked || linked.rows.length === 0) {
+      return 'Could not confirm your identity';
+    }
+    return null;
+  }
+  
+  if (!password) {
+    return 'Password is required';
+  }
+  
+  const validPassword = await bcrypt.compare(password, passwordHash);
+  if (!validPassword) {
+    return 'Password is incorrect';
+  }
+  return null;
+}
+
+// Starts a session for an authenticated user and sends the standard login response.
+// Users with 2FA get a challenge token instead, unless the second factor was already checked.
+async function completeLogin(req, res, user, extra = {}, { twoFactorVerified = false } = {}) {
+  if (user.totp_enabled && !twoFactorVerified) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user.id),
+      ...extra
+    });
+  }
+  
+  const session = await createSession(user.id, getDeviceInfo(req));
+  
+  const dailyLoginResult = await awardDailyLoginXp(user.id);
+  
+  let xp = user.xp || 0;
+  let level = user.level || 1;
+  let dailyLoginXpAwarded = 0;
+  let leveledUp = false;
+  
+  if (dailyLoginResult.success && dailyLoginResult.awarded) {
+    xp = dailyLoginResult.xp;
+    level = dailyLoginResult.level;
+    dailyLoginXpAwarded = dailyLoginResult.xpAwarded;
+    leveledUp = dailyLoginResult.leveledUp || false;
+  }
+  
+  res.json({
+    user: {
+      id: user.id,
+      email: user.email,
+      emailVerified: user.email_verified,
+      role: user.role,
+      twoFactorEnabled: user.totp_enabled,
+      displayName: user.display_name,
+      bio: user.bio,
+      avatarUrl: user.avatar_url,
+      expertiseCategories: user.expertise_categories,
+      followersCount: user.followers_count,
+      followingCount: user.following_count,
+      xp,
+      level,
+      nextLevelXp: getNextLevelXp(level),
+      currentLevelXp: getCurrentLevelXp(level),
+      createdAt: user.created_at
+    },
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    xpAwarded: dailyLoginXpAwarded,
+    leveledUp,
+    ...extra
+  });
+}
+
 router.post('/register', async (req, res) => {
   try {
     const { email, password, displayName } = req.body;
@@ -18,6 +198,10 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
     
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
+    
     const existingUser = await pool.query(
       'SELECT id FROM users WHERE email = $1',
       [email.toLowerCase()]
@@ -32,12 +216,13 @@ router.post('/register', async (req, res) => {
     const result = await pool.query(
       `INSERT INTO users (email, password_hash, display_name)
        VALUES ($1, $2, $3)
-       RETURNING id, email, display_name, bio, avatar_url, expertise_categories, followers_count, following_count, xp, level, created_at`,
+       RETURNING id, email, display_name, bio, avatar_url, expertise_categories, followers_count, following_count, xp, level, email_verified, role, created_at`,
       [email.toLowerCase(), passwordHash, displayName]
     );
     
     const user = result.rows[0];
-    const token = generateToken(user.id);
+    const session = await createSession(user.id, getDeviceInfo(req));
+    await sendVerificationEmail(user);
     const xp = user.xp || 0;
     const level = user.level || 1;
     
@@ -45,6 +230,8 @@ router.post('/register', async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
+        emailVerified: user.email_verified,
+        role: user.role,
         displayName: user.display_name,
         bio: user.bio,
         avatarUrl: user.avatar_url,
@@ -57,7 +244,9 @@ router.post('/register', async (req, res) => {
         currentLevelXp: getCurrentLevelXp(level),
         createdAt: user.created_at
       },
-      token
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -73,68 +262,465 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
     
+    const normalizedEmail = email.toLowerCase();
+    const ip = req.ip;
+    
+    const throttle = await beginLoginAttempt(normalizedEmail, ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many failed sign-in attempts. Please try again later.',
+        retryAfter: throttle.retryAfterSeconds
+      });
+    }
+    
     const result = await pool.query(
       'SELECT * FROM users WHERE email = $1',
-      [email.toLowerCase()]
+      [normalizedEmail]
     );
     
-    if (result.rows.length === 0) {
+    const user = result.rows[0];
+    
+    // Compare against a dummy hash for unknown emails so timing doesn't reveal which accounts exist
+    const validPassword = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    
+    if (!user || !validPassword) {
+      await recordLoginFailure(throttle.attempt, user ? user.id : null);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
     
+    // With 2FA on, the attempt only counts as a success once the code is checked
+    if (user.totp_enabled) {
+      await discardLoginAttempt(throttle.attempt);
+    } else {
+      await recordLoginSuccess(throttle.attempt, user.id);
+    }
+    
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+    
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ error: 'Sign-in expired, please log in again' });
+    }
+    
+    const result = await pool.query(
+      'SELECT * FROM users WHERE id = $1 AND totp_enabled = true',
+      [challenge.userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Sign-in expired, please log in again' });
+    }
+    
     const user = result.rows[0];
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+    const ip = req.ip;
     
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    const throttle = await beginLoginAttempt(user.email, ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many failed sign-in attempts. Please try again later.',
+        retryAfter: throttle.retryAfterSeconds
+      });
     }
     
-    const token = generateToken(user.id);
+    const validCode = await verifySecondFactor(user, code);
     
-    const dailyLoginResult = await awardDailyLoginXp(user.id);
+    if (!validCode) {
+      await recordLoginFailure(throttle.attempt, user.id);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
     
-    let xp = user.xp || 0;
-    let level = user.level || 1;
-    let dailyLoginXpAwarded = 0;
-    let leveledUp = false;
+    await recordLoginSuccess(throttle.attempt, user.id);
+    await completeLogin(req, res, user, {}, { twoFactorVerified: true });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    const { password, provider, idToken } = req.body;
     
-    if (dailyLoginResult.success && dailyLoginResult.awarded) {
-      xp = dailyLoginResult.xp;
-      level = dailyLoginResult.level;
-      dailyLoginXpAwarded = dailyLoginResult.xpAwarded;
-      leveledUp = dailyLoginResult.leveledUp || false;
+    const result = await pool.query(
+      'SELECT email, password_hash, totp_enabled FROM users WHERE id = $1',
+      [req.userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
     
+    if (result.rows[0].totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const identityError = await confirmIdentity(req.userId, result.rows[0].password_hash, { password, provider, idToken });
+    if (identityError) {
+      return res.status(400).json({ error: identityError });
+    }
+    
+    const secret = generateSecret();
+    
+    await pool.query(
+      'UPDATE users SET totp_secret = $1, totp_last_used_step = NULL, updated_at = NOW() WHERE id = $2',
+      [encryptSecret(secret), req.userId]
+    );
+    
     res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        displayName: user.display_name,
-        bio: user.bio,
-        avatarUrl: user.avatar_url,
-        expertiseCategories: user.expertise_categories,
-        followersCount: user.followers_count,
-        followingCount: user.following_count,
-        xp,
-        level,
-        nextLevelXp: getNextLevelXp(level),
-        currentLevelXp: getCurrentLevelXp(level),
-        createdAt: user.created_at
-      },
-      token,
-      xpAwarded: dailyLoginXpAwarded,
-      leveledUp
+      secret,
+      otpauthUri: buildOtpauthUri(secret, result.rows[0].email)
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/2fa/confirm', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+    
+    const result = await pool.query(
+      'SELECT totp_enabled, totp_secret FROM users WHERE id = $1',
+      [req.userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const user = result.rows[0];
+    
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    
+    const step = verifyCode(decryptSecret(user.totp_secret), code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    await pool.query(
+      'UPDATE users SET totp_enabled = true, totp_last_used_step = $1, updated_at = NOW() WHERE id = $2',
+      [step, req.userId]
+    );
+    
+    const recoveryCodes = await replaceRecoveryCodes(req.userId);
+    
+    // Sessions opened before 2FA never passed a second factor; keep only this one
+    const revokedSessions = await revokeAllSessions(req.userId, req.sessionId);
+    
+    console.log(`[AUTH] 2FA enabled for user ${req.userId}, revoked ${revokedSessions} other session(s)`);
+    
+    res.json({ twoFactorEnabled: true, recoveryCodes });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const result = await pool.query(
+      'SELECT id, totp_enabled, totp_secret, totp_last_used_step FROM users WHERE id = $1',
+      [req.userId]
+    );
+    
+    if (result.rows.length === 0 || !result.rows[0].totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    const validCode = await verifySecondFactor(result.rows[0], code);
+    if (!validCode) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    await pool.query(
+      `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_used_step = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [req.userId]
+    );
+    await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [req.userId]);
+    
+    console.log(`[AUTH] 2FA disabled for user ${req.userId}`);
+    
+    res.json({ twoFactorEnabled: false });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const result = await pool.query(
+      'SELECT id, totp_enabled, totp_secret, totp_last_used_step FROM users WHERE id = $1',
+      [req.userId]
+    );
+    
+    if (result.rows.length === 0 || !result.rows[0].totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    const validCode = await verifySecondFactor(result.rows[0], code);
+    if (!validCode) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    const recoveryCodes = await replaceRecoveryCodes(req.userId);
+    
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/oauth/:provider', async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { idToken, nonce, displayName } = req.body;
+    
+    if (!getProviderConfig(provider)) {
+      return res.status(404).json({ error: 'Unsupported provider' });
+    }
+    
+    if (!idToken) {
+      return res.status(400).json({ error: 'ID token is required' });
+    }
+    
+    const verification = await verifyIdToken(provider, idToken, { nonce });
+    
+    if (!verification.success) {
+      return res.status(401).json({ error: verification.error });
+    }
+    
+    const identity = verification.identity;
+    let isNewUser = false;
+    
+    const identityResult = await pool.query(`
+      SELECT u.* FROM user_identities ui
+      JOIN users u ON ui.user_id = u.id
+      WHERE ui.provider = $1 AND ui.subject = $2 AND u.deleted_at IS NULL
+    `, [provider, identity.subject]);
+    
+    let user = identityResult.rows[0];
+    
+    if (!user) {
+      if (!identity.email || !identity.emailVerified) {
+        return res.status(400).json({ error: 'Your account needs a verified email address to sign in' });
+      }
+      
+      const existingUser = await pool.query(
+        'SELECT * FROM users WHERE email = $1',
+        [identity.email]
+      );
+      
+      if (existingUser.rows.length > 0) {
+        user = existingUser.rows[0];
+        
+        if (!user.email_verified) {
+          // Nobody proved they own this email before; drop the unproven password and sessions
+          // so whoever registered it can't keep access to the provider owner's account
+          const updated = await pool.query(
+            `UPDATE users SET email_verified = true, password_hash = $1, updated_at = NOW()
+             WHERE id = $2 RETURNING *`,
+            [NO_PASSWORD_HASH, user.id]
+          );
+          user = updated.rows[0];
+          await revokeAllSessions(user.id);
+        }
+      } else {
+        const name = (displayName || identity.name || identity.email.split('@')[0]).slice(0, 100);
+        const created = await pool.query(
+          `INSERT INTO users (email, password_hash, display_name, email_verified)
+           VALUES ($1, $2, $3, true)
+           RETURNING *`,
+          [identity.email, NO_PASSWORD_HASH, name]
+        );
+        user = created.rows[0];
+        isNewUser = true;
+      }
+      
+      await pool.query(
+        `INSERT INTO user_identities (user_id, provider, subject, email)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (provider, subject) DO NOTHING`,
+        [user.id, provider, identity.subject, identity.email]
+      );
+      
+      console.log(`[AUTH] Linked ${provider} identity to user ${user.id}${isNewUser ? ' (new account)' : ''}`);
+    }
+    
+    await completeLogin(req, res, user, { isNewUser });
+  } catch (error) {
+    console.error('OAuth login error:', error);
     res.status(500).json({ error: 'Server error during login' });
   }
 });
 
-router.get('/me', authMiddleware, async (req, res) => {
+router.get('/identities', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, provider, email, created_at FROM user_identities WHERE user_id = $1 ORDER BY created_at',
+      [req.userId]
+    );
+    
+    res.json(result.rows.map(row => ({
+      id: row.id,
+      provider: row.provider,
+      email: row.email,
+      createdAt: row.created_at
+    })));
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/identities/:id', authMiddleware, async (req, res) => {
   try {
+    const [userResult, countResult] = await Promise.all([
+      pool.query('SELECT password_hash FROM users WHERE id = $1', [req.userId]),
+      pool.query('SELECT COUNT(*) FROM user_identities WHERE user_id = $1', [req.userId])
+    ]);
+    
+    const hasPassword = userResult.rows[0]?.password_hash !== NO_PASSWORD_HASH;
+    if (!hasPassword && parseInt(countResult.rows[0].count) <= 1) {
+      return res.status(400).json({ error: 'Set a password before removing your last sign-in method' });
+    }
+    
     const result = await pool.query(
-      `SELECT id, email, display_name, bio, avatar_url, expertise_categories, 
+      'DELETE FROM user_identities WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Sign-in method not found' });
+    }
+    
+    res.json({ message: 'Sign-in method removed' });
+  } catch (error) {
+    console.error('Delete identity error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+    
+    const session = await rotateSession(refreshToken, getDeviceInfo(req));
+    
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken && !req.sessionId) {
+      return res.status(400).json({ error: 'Refresh token or access token is required' });
+    }
+    
+    if (refreshToken) {
+      await revokeSessionByRefreshToken(refreshToken);
+    }
+    
+    if (req.sessionId) {
+      await revokeSession(req.userId, req.sessionId);
+    }
+    
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.userId);
+    
+    res.json(sessions.map(row => ({
+      id: row.id,
+      deviceName: row.device_name,
+      platform: row.platform,
+      ip: row.ip,
+      lastSeenAt: row.last_used_at,
+      createdAt: row.created_at,
+      isCurrent: row.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.userId, req.params.id);
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    console.log(`[AUTH] User ${req.userId} signed out session ${req.params.id}`);
+    
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/me', authMiddleware, requireScope('profile:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, email, email_verified, role, totp_enabled, display_name, bio, avatar_url, expertise_categories, 
               followers_count, following_count, xp, level, created_at
        FROM users WHERE id = $1`,
       [req.userId]
@@ -151,6 +737,9 @@ router.get('/me', authMiddleware, async (req, res) => {
     res.json({
       id: user.id,
       email: user.email,
+      emailVerified: user.email_verified,
+      role: user.role,
+      twoFactorEnabled: user.totp_enabled,
       displayName: user.display_name,
       bio: user.bio,
       avatarUrl: user.avatar_url,
@@ -181,7 +770,7 @@ router.put('/me', authMiddleware, async (req, res) => {
            expertise_categories = COALESCE($4, expertise_categories),
            updated_at = NOW()
        WHERE id = $5
-       RETURNING id, email, display_name, bio, avatar_url, expertise_categories, followers_count, following_count, xp, level`,
+       RETURNING id, email, email_verified, role, totp_enabled, display_name, bio, avatar_url, expertise_categories, followers_count, following_count, xp, level`,
       [displayName, bio, avatarUrl, expertiseCategories, req.userId]
     );
     
@@ -192,6 +781,9 @@ router.put('/me', authMiddleware, async (req, res) => {
     res.json({
       id: user.id,
       email: user.email,
+      emailVerified: user.email_verified,
+      role: user.role,
+      twoFactorEnabled: user.totp_enabled,
       displayName: user.display_name,
       bio: user.bio,
       avatarUrl: user.avatar_url,
@@ -209,6 +801,159 @@ router.put('/me', authMiddleware, async (req, res) => {
   }
 });
 
+router.get('/tokens', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, token_prefix, scopes, last_used_at, expires_at, created_at
+      FROM personal_access_tokens
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `, [req.userId]);
+    
+    res.json({
+      tokens: result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        tokenPrefix: row.token_prefix,
+        scopes: row.scopes,
+        lastUsedAt: row.last_used_at,
+        expiresAt: row.expires_at,
+        createdAt: row.created_at
+      })),
+      availableScopes: PAT_SCOPES
+    });
+  } catch (error) {
+    console.error('Get tokens error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/tokens', authMiddleware, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Token name is required' });
+    }
+    
+    if (name.length > 100) {
+      return res.status(400).json({ error: 'Token name cannot exceed 100 characters' });
+    }
+    
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope is required' });
+    }
+    
+    const invalidScopes = scopes.filter(scope => !PAT_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${invalidScopes.join(', ')}` });
+    }
+    
+    if (expiresInDays !== undefined && expiresInDays !== null && !(parseInt(expiresInDays) > 0)) {
+      return res.status(400).json({ error: 'expiresInDays must be a positive number' });
+    }
+    
+    const countResult = await pool.query(
+      'SELECT COUNT(*) FROM personal_access_tokens WHERE user_id = $1 AND revoked_at IS NULL',
+      [req.userId]
+    );
+    
+    if (parseInt(countResult.rows[0].count) >= MAX_PERSONAL_ACCESS_TOKENS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_PERSONAL_ACCESS_TOKENS} active tokens` });
+    }
+    
+    const token = PAT_PREFIX + crypto.randomBytes(32).toString('base64url');
+    
+    const result = await pool.query(`
+      INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::INTEGER IS NULL THEN NULL ELSE NOW() + $6::INTEGER * INTERVAL '1 day' END)
+      RETURNING id, name, token_prefix, scopes, expires_at, created_at
+    `, [req.userId, name.trim(), hashPersonalAccessToken(token), token.slice(0, PAT_PREFIX.length + 4), [...new Set(scopes)], expiresInDays ? parseInt(expiresInDays) : null]);
+    
+    const row = result.rows[0];
+    
+    res.status(201).json({
+      id: row.id,
+      name: row.name,
+      tokenPrefix: row.token_prefix,
+      scopes: row.scopes,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at,
+      // Only returned once; we only keep the hash
+      token
+    });
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/tokens/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id',
+      [req.params.id, req.userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/me/export', authMiddleware, async (req, res) => {
+  try {
+    const archive = await exportUserData(req.userId);
+    
+    if (!archive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const date = new Date().toISOString().split('T')[0];
+    res.set('Content-Disposition', `attachment; filename="quickfix-export-${date}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/me', authMiddleware, async (req, res) => {
+  try {
+    const { password, provider, idToken, mode = 'delete' } = req.body;
+    
+    if (!['delete', 'anonymize'].includes(mode)) {
+      return res.status(400).json({ error: 'Mode must be delete or anonymize' });
+    }
+    
+    const userResult = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.userId]
+    );
+    
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const identityError = await confirmIdentity(req.userId, userResult.rows[0].password_hash, { password, provider, idToken });
+    if (identityError) {
+      return res.status(400).json({ error: identityError });
+    }
+    
+    await deleteAccount(req.userId, mode);
+    
+    res.json({ message: 'Account deleted', mode });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 router.put('/password', authMiddleware, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
@@ -232,10 +977,37 @@ router.put('/password', authMiddleware, async (req, res) => {
     }
     
     const newPasswordHash = await bcrypt.hash(newPassword, 10);
-    await pool.query(
-      'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
-      [newPasswordHash, req.userId]
-    );
+    
+    // Same as a reset: the new password, revoking the other sessions and every access
+    // token succeed or fail together
+    const client = await pool.connect();
+    let revokedSessions;
+    let revokedTokens;
+    try {
+      await client.query('BEGIN');
+      
+      await client.query(
+        'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+        [newPasswordHash, req.userId]
+      );
+      
+      revokedSessions = await revokeAllSessions(req.userId, req.sessionId, client);
+      
+      const tokensResult = await client.query(
+        'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [req.userId]
+      );
+      revokedTokens = tokensResult.rowCount;
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    console.log(`[AUTH] Password changed for user ${req.userId}, revoked ${revokedSessions} other session(s) and ${revokedTokens} access token(s)`);
     
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
@@ -244,4 +1016,210 @@ router.put('/password', authMiddleware, async (req, res) => {
   }
 });
 
+router.post('/verify-email/resend', authMiddleware, async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT id, email, display_name, email_verified FROM users WHERE id = $1',
+      [req.userId]
+    );
+    
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const user = userResult.rows[0];
+    
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    
+    const recent = await pool.query(
+      `SELECT id FROM email_verification_tokens
+       WHERE user_id = $1 AND created_at > NOW() - $2 * INTERVAL '1 second'`,
+      [req.userId, EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS]
+    );
+    
+    if (recent.rows.length > 0) {
+      return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/verify-email/confirm', optionalAuth, async (req, res) => {
+  try {
+    const { token, code } = req.body;
+    
+    if (!token && !code) {
+      return res.status(400).json({ error: 'Token or code is required' });
+    }
+    
+    let tokenResult;
+    
+    if (token) {
+      tokenResult = await pool.query(
+        `UPDATE email_verification_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+    } else {
+      // Codes are short, so they only work for the signed-in user and have a limited number of attempts
+      if (!req.userId) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      
+      tokenResult = await pool.query(
+        `UPDATE email_verification_tokens SET used_at = NOW()
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL AND expires_at > NOW()
+               AND attempts < $3
+         RETURNING user_id`,
+        [req.userId, hashToken(`${req.userId}:${String(code).trim()}`), EMAIL_VERIFICATION_MAX_ATTEMPTS]
+      );
+      
+      if (tokenResult.rows.length === 0) {
+        await pool.query(
+          'UPDATE email_verification_tokens SET attempts = attempts + 1 WHERE user_id = $1 AND used_at IS NULL',
+          [req.userId]
+        );
+      }
+    }
+    
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired verification code' });
+    }
+    
+    await pool.query(
+      'UPDATE users SET email_verified = true, updated_at = NOW() WHERE id = $1',
+      [tokenResult.rows[0].user_id]
+    );
+    
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (error) {
+    console.error('Confirm verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    
+    const genericResponse = { message: 'If an account exists for this email, a reset link has been sent' };
+    
+    const userResult = await pool.query(
+      'SELECT id, email, display_name FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+    
+    if (userResult.rows.length === 0) {
+      return res.json(genericResponse);
+    }
+    
+    const user = userResult.rows[0];
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    
+    // Only the newest link stays valid
+    await pool.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    
+    await pool.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + $3 * INTERVAL '1 minute')`,
+      [user.id, hashToken(resetToken), PASSWORD_RESET_TTL_MINUTES]
+    );
+    
+    const resetUrl = `${APP_URL}/reset-password?token=${resetToken}`;
+    
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your QuickFix password',
+      text: `Hi ${user.display_name},\n\nUse the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`
+    });
+    
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+    
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'New password must be at least 6 characters' });
+    }
+    
+    // Claiming the token, the new password and revoking every session and access token
+    // succeed or fail together, so a reset always locks out whoever had the old credentials
+    const client = await pool.connect();
+    let userId;
+    let revokedSessions;
+    let revokedTokens;
+    try {
+      await client.query('BEGIN');
+      
+      const tokenResult = await client.query(
+        `UPDATE password_reset_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+      
+      if (tokenResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+      
+      userId = tokenResult.rows[0].user_id;
+      const newPasswordHash = await bcrypt.hash(newPassword, 10);
+      
+      await client.query(
+        'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+        [newPasswordHash, userId]
+      );
+      
+      revokedSessions = await revokeAllSessions(userId, null, client);
+      
+      const tokensResult = await client.query(
+        'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+      );
+      revokedTokens = tokensResult.rowCount;
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    console.log(`[AUTH] Password reset for user ${userId}, revoked ${revokedSessions} session(s) and ${revokedTokens} access token(s)`);
+    
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
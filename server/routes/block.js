@@ -1,6 +1,7 @@
 const express = require('express');
 const { pool } = require('../db');
 const { authMiddleware } = require('../middleware/auth');
+const { getPageParams, cursorSelect, keysetCondition, isInvalidInputError, sendPage } = require('../services/pagination');
 
 const router = express.Router();
 
@@ -79,15 +80,33 @@ router.post('/unblock', authMiddleware, async (req, res) => {
 
 router.get('/blocked', authMiddleware, async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT blocked_user_ids FROM users WHERE id = $1',
-      [req.userId]
-    );
+    const sortColumns = ['b.blocked_id'];
+    const page = getPageParams(req.query, { defaultLimit: 100, maxLimit: 500, key: 'blocked-users', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const params = [req.userId];
+    let keysetFilter = '';
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, 2, 'ASC');
+      keysetFilter = `AND ${keyset.sql}`;
+      params.push(...keyset.params);
+    }
     
-    const blockedUserIds = result.rows[0]?.blocked_user_ids || [];
+    const result = await pool.query(`
+      SELECT b.blocked_id, ${cursorSelect(sortColumns)}
+      FROM users u, unnest(u.blocked_user_ids) AS b(blocked_id)
+      WHERE u.id = $1 ${keysetFilter}
+      ORDER BY b.blocked_id
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, page.limit + 1, page.offset]);
     
-    res.json({ blockedUserIds });
+    sendPage(res, page, result.rows, row => row.blocked_id, { legacyKey: 'blockedUserIds' });
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get blocked users error:', error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -1,16 +1,24 @@
 const express = require('express');
 const { pool } = require('../db');
-const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { authMiddleware, optionalAuth, requireVerifiedEmail, requireScope } = require('../middleware/auth');
 const { awardXpDirect, awardCommentXp, XP_REWARDS, getNextLevelXp, getCurrentLevelXp } = require('../services/xp');
+const { getPageParams, cursorSelect, keysetCondition, isInvalidInputError, sendPage } = require('../services/pagination');
 
 const router = express.Router();
 
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, requireScope('community:read'), async (req, res) => {
   try {
-    const { category, status, limit = 20, offset = 0 } = req.query;
+    const { category, status } = req.query;
+    
+    const sortColumns = ['cp.created_at', 'cp.id'];
+    const page = getPageParams(req.query, { key: 'community-posts', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     
     let query = `
-      SELECT cp.*, u.display_name as author_name, u.avatar_url as author_avatar
+      SELECT cp.*, u.display_name as author_name, u.avatar_url as author_avatar,
+             ${cursorSelect(sortColumns)}
       FROM community_posts cp
       JOIN users u ON cp.author_id = u.id
       WHERE 1=1
@@ -31,12 +39,19 @@ router.get('/', optionalAuth, async (req, res) => {
       paramIndex++;
     }
     
-    query += ` ORDER BY cp.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    params.push(parseInt(limit), parseInt(offset));
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, paramIndex);
+      query += ` AND ${keyset.sql}`;
+      params.push(...keyset.params);
+      paramIndex += keyset.params.length;
+    }
+    
+    query += ` ORDER BY cp.created_at DESC, cp.id DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    params.push(page.limit + 1, page.offset);
     
     const result = await pool.query(query, params);
     
-    const posts = result.rows.map(row => ({
+    sendPage(res, page, result.rows, row => ({
       id: row.id,
       title: row.title,
       description: row.description,
@@ -50,15 +65,16 @@ router.get('/', optionalAuth, async (req, res) => {
       createdAt: row.created_at,
       updatedAt: row.updated_at
     }));
-    
-    res.json(posts);
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get community posts error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/:id', optionalAuth, requireScope('community:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT cp.*, u.display_name as author_name, u.avatar_url as author_avatar
@@ -92,7 +108,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requireScope('community:write'), requireVerifiedEmail, async (req, res) => {
   try {
     console.log('[COMMUNITY] Incoming POST body:', JSON.stringify(req.body));
     console.log('[COMMUNITY] User ID from auth:', req.userId);
@@ -148,7 +164,7 @@ router.post('/', authMiddleware, async (req, res) => {
   }
 });
 
-router.put('/:id/status', authMiddleware, async (req, res) => {
+router.put('/:id/status', authMiddleware, requireScope('community:write'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -181,19 +197,36 @@ router.put('/:id/status', authMiddleware, async (req, res) => {
   }
 });
 
-router.get('/:id/comments', optionalAuth, async (req, res) => {
+router.get('/:id/comments', optionalAuth, requireScope('community:read'), async (req, res) => {
   try {
+    // Solutions first, then oldest first; "NOT is_solution" keeps every sort column ascending
+    const sortColumns = ['NOT cc.is_solution', 'cc.created_at', 'cc.id'];
+    const page = getPageParams(req.query, { defaultLimit: 50, key: 'community-comments', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const params = [req.params.id];
+    let keysetFilter = '';
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, 2, 'ASC');
+      keysetFilter = `AND ${keyset.sql}`;
+      params.push(...keyset.params);
+    }
+    
     const result = await pool.query(`
       SELECT cc.*, u.display_name as author_name, u.avatar_url as author_avatar,
-             v.title as video_title, v.thumbnail_url as video_thumbnail
+             v.title as video_title, v.thumbnail_url as video_thumbnail,
+             ${cursorSelect(sortColumns)}
       FROM community_comments cc
       JOIN users u ON cc.user_id = u.id
       LEFT JOIN videos v ON cc.linked_video_id = v.id
-      WHERE cc.post_id = $1
-      ORDER BY cc.is_solution DESC, cc.created_at ASC
-    `, [req.params.id]);
+      WHERE cc.post_id = $1 ${keysetFilter}
+      ORDER BY NOT cc.is_solution, cc.created_at ASC, cc.id ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, page.limit + 1, page.offset]);
     
-    const comments = result.rows.map(row => ({
+    sendPage(res, page, result.rows, row => ({
       id: row.id,
       content: row.content,
       isSolution: row.is_solution,
@@ -205,15 +238,16 @@ router.get('/:id/comments', optionalAuth, async (req, res) => {
       linkedVideoThumbnail: row.video_thumbnail,
       createdAt: row.created_at
     }));
-    
-    res.json(comments);
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get comments error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.post('/:id/comments', authMiddleware, async (req, res) => {
+router.post('/:id/comments', authMiddleware, requireScope('community:write'), async (req, res) => {
   try {
     console.log('[COMMUNITY] Incoming comment POST body:', JSON.stringify(req.body));
     console.log('[COMMUNITY] Comment for post:', req.params.id, 'by user:', req.userId);
@@ -290,7 +324,7 @@ router.post('/:id/comments', authMiddleware, async (req, res) => {
   }
 });
 
-router.put('/:postId/comments/:commentId/solution', authMiddleware, async (req, res) => {
+router.put('/:postId/comments/:commentId/solution', authMiddleware, requireScope('community:write'), async (req, res) => {
   try {
     const { postId, commentId } = req.params;
     
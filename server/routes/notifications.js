@@ -1,25 +1,41 @@
 const express = require('express');
 const { pool } = require('../db');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { getPageParams, cursorSelect, keysetCondition, isInvalidInputError, sendPage } = require('../services/pagination');
 
 const router = express.Router();
 
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requireScope('notifications:read'), async (req, res) => {
   try {
+    const sortColumns = ['n.created_at', 'n.id'];
+    const page = getPageParams(req.query, { defaultLimit: 50, key: 'notifications', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const params = [req.userId];
+    let keysetFilter = '';
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, 2);
+      keysetFilter = `AND ${keyset.sql}`;
+      params.push(...keyset.params);
+    }
+    
     const result = await pool.query(`
       SELECT n.*, 
              ru.display_name as related_user_name, 
              ru.avatar_url as related_user_avatar,
-             rv.title as related_video_title
+             rv.title as related_video_title,
+             ${cursorSelect(sortColumns)}
       FROM notifications n
       LEFT JOIN users ru ON n.related_user_id = ru.id
       LEFT JOIN videos rv ON n.related_video_id = rv.id
-      WHERE n.user_id = $1
-      ORDER BY n.created_at DESC
-      LIMIT 50
-    `, [req.userId]);
+      WHERE n.user_id = $1 ${keysetFilter}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, page.limit + 1, page.offset]);
     
-    const notifications = result.rows.map(n => ({
+    sendPage(res, page, result.rows, n => ({
       id: n.id,
       type: n.type,
       title: n.title,
@@ -32,15 +48,16 @@ router.get('/', authMiddleware, async (req, res) => {
       relatedVideoTitle: n.related_video_title,
       createdAt: n.created_at
     }));
-    
-    res.json(notifications);
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get notifications error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.get('/unread-count', authMiddleware, async (req, res) => {
+router.get('/unread-count', authMiddleware, requireScope('notifications:read'), async (req, res) => {
   try {
     const result = await pool.query(
       'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND is_read = false',
@@ -54,7 +71,7 @@ router.get('/unread-count', authMiddleware, async (req, res) => {
   }
 });
 
-router.put('/:id/read', authMiddleware, async (req, res) => {
+router.put('/:id/read', authMiddleware, requireScope('notifications:write'), async (req, res) => {
   try {
     await pool.query(
       'UPDATE notifications SET is_read = true WHERE id = $1 AND user_id = $2',
@@ -68,7 +85,7 @@ router.put('/:id/read', authMiddleware, async (req, res) => {
   }
 });
 
-router.put('/read-all', authMiddleware, async (req, res) => {
+router.put('/read-all', authMiddleware, requireScope('notifications:write'), async (req, res) => {
   try {
     await pool.query(
       'UPDATE notifications SET is_read = true WHERE user_id = $1 AND is_read = false',
@@ -82,7 +99,7 @@ router.put('/read-all', authMiddleware, async (req, res) => {
   }
 });
 
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requireScope('notifications:write'), async (req, res) => {
   try {
     await pool.query(
       'DELETE FROM notifications WHERE id = $1 AND user_id = $2',
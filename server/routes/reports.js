@@ -1,6 +1,7 @@
 const express = require('express');
 const { pool } = require('../db');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { getPageParams, cursorSelect, keysetCondition, isInvalidInputError, sendPage } = require('../services/pagination');
 
 const router = express.Router();
 
@@ -61,4 +62,105 @@ router.post('/', authMiddleware, async (req, res) => {
   }
 });
 
+router.get('/', authMiddleware, requireRole('moderator'), async (req, res) => {
+  try {
+    const { status = 'open', contentType } = req.query;
+
+    // Oldest first, so the moderation queue is worked in order
+    const sortColumns = ['r.created_at', 'r.id'];
+    const page = getPageParams(req.query, { defaultLimit: 50, key: 'reports', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    let query = `
+      SELECT r.*, ru.display_name as reporter_name, tu.display_name as target_name,
+             ${cursorSelect(sortColumns)}
+      FROM reports r
+      JOIN users ru ON r.reporter_user_id = ru.id
+      LEFT JOIN users tu ON r.target_user_id = tu.id
+      WHERE 1=1
+    `;
+
+    const params = [];
+    let paramIndex = 1;
+
+    if (status && status !== 'all') {
+      query += ` AND r.status = $${paramIndex}`;
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (contentType) {
+      query += ` AND r.content_type = $${paramIndex}`;
+      params.push(contentType);
+      paramIndex++;
+    }
+
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, paramIndex, 'ASC');
+      query += ` AND ${keyset.sql}`;
+      params.push(...keyset.params);
+      paramIndex += keyset.params.length;
+    }
+
+    query += ` ORDER BY r.created_at ASC, r.id ASC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    params.push(page.limit + 1, page.offset);
+
+    const result = await pool.query(query, params);
+
+    sendPage(res, page, result.rows, row => ({
+      id: row.id,
+      reporterUserId: row.reporter_user_id,
+      reporterName: row.reporter_name,
+      targetUserId: row.target_user_id,
+      targetName: row.target_name,
+      contentId: row.content_id,
+      contentType: row.content_type,
+      reason: row.reason,
+      message: row.message,
+      status: row.status,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
+    console.error('Get reports error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/:id/status', authMiddleware, requireRole('moderator'), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['open', 'reviewing', 'resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be open, reviewing, resolved, or dismissed.' });
+    }
+
+    const result = await pool.query(
+      'UPDATE reports SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING id, status, updated_at',
+      [status, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    console.log(`[MODERATION] Report ${req.params.id} set to ${status} by ${req.userId}`);
+
+    res.json({
+      success: true,
+      id: result.rows[0].id,
+      status: result.rows[0].status,
+      updatedAt: result.rows[0].updated_at
+    });
+  } catch (error) {
+    console.error('Update report status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
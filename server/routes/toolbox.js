@@ -1,18 +1,31 @@
 const express = require('express');
 const { pool } = require('../db');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { getPageParams, cursorSelect, keysetCondition, isInvalidInputError, sendPage } = require('../services/pagination');
+const { getShoppingList } = require('../services/materials');
+const { getBlockedUserIds } = require('./block');
 
 const router = express.Router();
 
-router.get('/saved', authMiddleware, async (req, res) => {
+// Folder IDs are UUIDs; checked up front so a malformed one is a 400 rather than a query error
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+router.get('/saved', authMiddleware, requireScope('toolbox:read'), async (req, res) => {
   try {
     const { folderId } = req.query;
     
+    const sortColumns = ['vs.created_at', 'vs.id'];
+    const page = getPageParams(req.query, { defaultLimit: 50, key: 'toolbox-saved', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
     let query = `
       SELECT v.*, u.display_name as author_name, u.avatar_url as author_avatar,
              vs.folder_id, tf.name as folder_name,
              true as is_saved,
-             EXISTS(SELECT 1 FROM video_likes WHERE video_id = v.id AND user_id = $1) as is_liked
+             EXISTS(SELECT 1 FROM video_likes WHERE video_id = v.id AND user_id = $1) as is_liked,
+             ${cursorSelect(sortColumns)}
       FROM video_saves vs
       JOIN videos v ON vs.video_id = v.id
       JOIN users u ON v.author_id = u.id
@@ -31,17 +44,24 @@ router.get('/saved', authMiddleware, async (req, res) => {
       }
     }
     
-    query += ' ORDER BY vs.created_at DESC';
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, params.length + 1);
+      query += ` AND ${keyset.sql}`;
+      params.push(...keyset.params);
+    }
+    
+    query += ` ORDER BY vs.created_at DESC, vs.id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(page.limit + 1, page.offset);
     
     const result = await pool.query(query, params);
     
-    const videos = result.rows.map(row => ({
+    sendPage(res, page, result.rows, row => ({
       id: row.id,
       title: row.title,
       description: row.description,
       category: row.category,
       tags: row.tags,
-      videoUrl: row.video_url,
+      streamUrl: `/api/videos/${row.id}/stream`,
       thumbnailUrl: row.thumbnail_url,
       duration: row.duration,
       likesCount: row.likes_count,
@@ -55,48 +75,106 @@ router.get('/saved', authMiddleware, async (req, res) => {
       folderName: row.folder_name,
       createdAt: row.created_at
     }));
-    
-    res.json(videos);
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get saved videos error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.get('/folders', authMiddleware, async (req, res) => {
+// Everything needed for the videos in a folder (?folderId=<id>|uncategorized), or in the whole toolbox
+router.get('/shopping-list', authMiddleware, requireScope('toolbox:read'), async (req, res) => {
+  try {
+    const { folderId } = req.query;
+    
+    if (folderId && folderId !== 'uncategorized' && !(typeof folderId === 'string' && UUID_PATTERN.test(folderId))) {
+      return res.status(400).json({ error: 'folderId must be a folder ID or "uncategorized"' });
+    }
+    
+    if (folderId && folderId !== 'uncategorized') {
+      const folder = await pool.query(
+        'SELECT id FROM toolbox_folders WHERE id = $1 AND user_id = $2',
+        [folderId, req.userId]
+      );
+      if (folder.rows.length === 0) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+    }
+    
+    const blockedUserIds = await getBlockedUserIds(req.userId);
+    const rows = await getShoppingList(req.userId, folderId || null, blockedUserIds);
+    
+    const formatItem = row => ({
+      name: row.name,
+      spec: row.spec,
+      quantity: row.quantity,
+      optional: row.is_optional,
+      videos: row.videos
+    });
+    
+    res.json({
+      folderId: folderId || null,
+      tools: rows.filter(row => row.kind === 'tool').map(formatItem),
+      parts: rows.filter(row => row.kind === 'part').map(formatItem)
+    });
+  } catch (error) {
+    console.error('Get shopping list error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/folders', authMiddleware, requireScope('toolbox:read'), async (req, res) => {
   try {
+    const sortColumns = ['tf.created_at', 'tf.id'];
+    const page = getPageParams(req.query, { defaultLimit: 50, key: 'toolbox-folders', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const params = [req.userId];
+    let keysetFilter = '';
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, 2);
+      keysetFilter = `AND ${keyset.sql}`;
+      params.push(...keyset.params);
+    }
+    
     const foldersResult = await pool.query(`
-      SELECT tf.*, COUNT(vs.id) as video_count
+      SELECT tf.*, COUNT(vs.id) as video_count, ${cursorSelect(sortColumns)}
       FROM toolbox_folders tf
       LEFT JOIN video_saves vs ON tf.id = vs.folder_id
-      WHERE tf.user_id = $1
+      WHERE tf.user_id = $1 ${keysetFilter}
       GROUP BY tf.id
-      ORDER BY tf.created_at DESC
-    `, [req.userId]);
+      ORDER BY tf.created_at DESC, tf.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, page.limit + 1, page.offset]);
     
     const uncategorizedResult = await pool.query(
       'SELECT COUNT(*) FROM video_saves WHERE user_id = $1 AND folder_id IS NULL',
       [req.userId]
     );
     
-    const folders = foldersResult.rows.map(f => ({
+    sendPage(res, page, foldersResult.rows, f => ({
       id: f.id,
       name: f.name,
       videoCount: parseInt(f.video_count),
       createdAt: f.created_at
-    }));
-    
-    res.json({
-      folders,
-      uncategorizedCount: parseInt(uncategorizedResult.rows[0].count)
+    }), {
+      legacyKey: 'folders',
+      extra: { uncategorizedCount: parseInt(uncategorizedResult.rows[0].count) }
     });
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get folders error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.post('/folders', authMiddleware, async (req, res) => {
+router.post('/folders', authMiddleware, requireScope('toolbox:write'), async (req, res) => {
   try {
     const { name } = req.body;
     
@@ -136,7 +214,7 @@ router.post('/folders', authMiddleware, async (req, res) => {
   }
 });
 
-router.put('/folders/:id', authMiddleware, async (req, res) => {
+router.put('/folders/:id', authMiddleware, requireScope('toolbox:write'), async (req, res) => {
   try {
     const { name } = req.body;
     
@@ -166,7 +244,7 @@ router.put('/folders/:id', authMiddleware, async (req, res) => {
   }
 });
 
-router.delete('/folders/:id', authMiddleware, async (req, res) => {
+router.delete('/folders/:id', authMiddleware, requireScope('toolbox:write'), async (req, res) => {
   try {
     await pool.query(
       'UPDATE video_saves SET folder_id = NULL WHERE folder_id = $1 AND user_id = $2',
@@ -189,7 +267,7 @@ router.delete('/folders/:id', authMiddleware, async (req, res) => {
   }
 });
 
-router.put('/saved/:videoId/folder', authMiddleware, async (req, res) => {
+router.put('/saved/:videoId/folder', authMiddleware, requireScope('toolbox:write'), async (req, res) => {
   try {
     const { folderId } = req.body;
     
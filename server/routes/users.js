@@ -1,11 +1,75 @@
 const express = require('express');
 const { pool } = require('../db');
-const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { authMiddleware, optionalAuth, requireRole, ROLES, requireScope } = require('../middleware/auth');
 const { isBlocked, getBlockedUserIds } = require('./block');
+const { formatRepairDetails } = require('../services/repairDetails');
+const { HISTORY_SORT_COLUMNS, getWatchHistory, clearWatchHistory } = require('../services/watchHistory');
+const { getPageParams, cursorSelect, keysetCondition, isInvalidInputError, sendPage } = require('../services/pagination');
 
 const router = express.Router();
 
-router.get('/:id', optionalAuth, async (req, res) => {
+// Watch history routes are registered before /:id so "me" is not taken as a user ID
+router.get('/me/history', authMiddleware, requireScope('users:read'), async (req, res) => {
+  try {
+    const page = getPageParams(req.query, { key: 'watch-history', columns: HISTORY_SORT_COLUMNS });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const rows = await getWatchHistory(req.userId, page);
+    
+    sendPage(res, page, rows, row => ({
+      videoId: row.video_id,
+      title: row.title,
+      thumbnailUrl: row.thumbnail_url,
+      duration: row.duration,
+      category: row.category,
+      authorId: row.author_id,
+      authorName: row.author_name,
+      watchCount: row.watch_count,
+      lastWatchedSeconds: row.last_watched_seconds,
+      completionRatio: row.max_completion_ratio,
+      firstWatchedAt: row.first_watched_at,
+      lastWatchedAt: row.last_watched_at
+    }));
+  } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
+    console.error('Get watch history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/me/history', authMiddleware, requireScope('users:write'), async (req, res) => {
+  try {
+    const removed = await clearWatchHistory(req.userId);
+    res.json({ message: 'Watch history cleared', removed });
+  } catch (error) {
+    console.error('Clear watch history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/me/history/:videoId', authMiddleware, requireScope('users:write'), async (req, res) => {
+  try {
+    const removed = await clearWatchHistory(req.userId, req.params.videoId);
+    
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Video not in watch history' });
+    }
+    
+    res.json({ message: 'Removed from watch history' });
+  } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
+    console.error('Remove watch history entry error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/:id', optionalAuth, requireScope('users:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT id, display_name, bio, avatar_url, expertise_categories, 
@@ -56,8 +120,44 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-router.get('/:id/videos', optionalAuth, async (req, res) => {
+router.put('/:id/role', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    
+    if (req.params.id === req.userId) {
+      return res.status(400).json({ error: 'Cannot change your own role' });
+    }
+    
+    const result = await pool.query(
+      'UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING id, role',
+      [role, req.params.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    console.log(`[ADMIN] User ${req.params.id} set to role ${role} by ${req.userId}`);
+    
+    res.json({ id: result.rows[0].id, role: result.rows[0].role });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/:id/videos', optionalAuth, requireScope('users:read'), async (req, res) => {
   try {
+    const sortColumns = ['v.created_at', 'v.id'];
+    const page = getPageParams(req.query, { defaultLimit: 50, key: 'user-videos', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
     if (req.userId) {
       const targetUser = await pool.query('SELECT blocked_user_ids FROM users WHERE id = $1', [req.params.id]);
       if (targetUser.rows.length > 0) {
@@ -69,47 +169,64 @@ router.get('/:id/videos', optionalAuth, async (req, res) => {
       
       const userBlockedTarget = await isBlocked(req.userId, req.params.id);
       if (userBlockedTarget) {
-        return res.json([]);
+        return sendPage(res, page, [], row => row);
       }
     }
     
+    const params = [req.params.id, req.userId || null];
+    let keysetFilter = '';
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, 3);
+      keysetFilter = `AND ${keyset.sql}`;
+      params.push(...keyset.params);
+    }
+    
     const result = await pool.query(`
       SELECT v.*, u.display_name as author_name, u.avatar_url as author_avatar,
              EXISTS(SELECT 1 FROM video_likes WHERE video_id = v.id AND user_id = $2) as is_liked,
-             EXISTS(SELECT 1 FROM video_saves WHERE video_id = v.id AND user_id = $2) as is_saved
+             EXISTS(SELECT 1 FROM video_saves WHERE video_id = v.id AND user_id = $2) as is_saved,
+             ${cursorSelect(sortColumns)}
       FROM videos v
       JOIN users u ON v.author_id = u.id
-      WHERE v.author_id = $1 AND v.is_flagged = false
-      ORDER BY v.created_at DESC
-    `, [req.params.id, req.userId || null]);
+      WHERE v.author_id = $1 AND v.is_flagged = false AND v.processing_status = 'ready'
+        AND (v.visibility = 'published' OR v.author_id = $2) ${keysetFilter}
+      ORDER BY v.created_at DESC, v.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, page.limit + 1, page.offset]);
     
-    const videos = result.rows.map(row => ({
+    sendPage(res, page, result.rows, row => ({
       id: row.id,
       title: row.title,
       description: row.description,
       category: row.category,
       tags: row.tags,
-      videoUrl: row.video_url,
+      streamUrl: `/api/videos/${row.id}/stream`,
       thumbnailUrl: row.thumbnail_url,
       duration: row.duration,
       likesCount: row.likes_count,
+      viewsCount: row.views_count,
       commentsEnabled: row.comments_enabled,
       authorId: row.author_id,
       authorName: row.author_name,
       authorAvatar: row.author_avatar,
       isLiked: row.is_liked,
       isSaved: row.is_saved,
+      visibility: row.visibility,
+      publishAt: row.publish_at,
+      publishedAt: row.published_at,
+      ...formatRepairDetails(row),
       createdAt: row.created_at
     }));
-    
-    res.json(videos);
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get user videos error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.post('/:id/follow', authMiddleware, async (req, res) => {
+router.post('/:id/follow', authMiddleware, requireScope('users:write'), async (req, res) => {
   try {
     if (req.params.id === req.userId) {
       return res.status(400).json({ error: 'Cannot follow yourself' });
@@ -156,21 +273,40 @@ router.post('/:id/follow', authMiddleware, async (req, res) => {
 
 router.get('/:id/followers', async (req, res) => {
   try {
+    const sortColumns = ['f.created_at', 'f.id'];
+    const page = getPageParams(req.query, { defaultLimit: 50, key: 'followers', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const params = [req.params.id];
+    let keysetFilter = '';
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, 2);
+      keysetFilter = `AND ${keyset.sql}`;
+      params.push(...keyset.params);
+    }
+    
     const result = await pool.query(`
-      SELECT u.id, u.display_name, u.avatar_url, u.bio
+      SELECT u.id, u.display_name, u.avatar_url, u.bio,
+             ${cursorSelect(sortColumns)}
       FROM follows f
       JOIN users u ON f.follower_id = u.id
-      WHERE f.following_id = $1
-      ORDER BY f.created_at DESC
-    `, [req.params.id]);
+      WHERE f.following_id = $1 ${keysetFilter}
+      ORDER BY f.created_at DESC, f.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, page.limit + 1, page.offset]);
     
-    res.json(result.rows.map(u => ({
+    sendPage(res, page, result.rows, u => ({
       id: u.id,
       displayName: u.display_name,
       avatarUrl: u.avatar_url,
       bio: u.bio
-    })));
+    }));
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get followers error:', error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -178,21 +314,40 @@ router.get('/:id/followers', async (req, res) => {
 
 router.get('/:id/following', async (req, res) => {
   try {
+    const sortColumns = ['f.created_at', 'f.id'];
+    const page = getPageParams(req.query, { defaultLimit: 50, key: 'following', columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const params = [req.params.id];
+    let keysetFilter = '';
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, 2);
+      keysetFilter = `AND ${keyset.sql}`;
+      params.push(...keyset.params);
+    }
+    
     const result = await pool.query(`
-      SELECT u.id, u.display_name, u.avatar_url, u.bio
+      SELECT u.id, u.display_name, u.avatar_url, u.bio,
+             ${cursorSelect(sortColumns)}
       FROM follows f
       JOIN users u ON f.following_id = u.id
-      WHERE f.follower_id = $1
-      ORDER BY f.created_at DESC
-    `, [req.params.id]);
+      WHERE f.follower_id = $1 ${keysetFilter}
+      ORDER BY f.created_at DESC, f.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, page.limit + 1, page.offset]);
     
-    res.json(result.rows.map(u => ({
+    sendPage(res, page, result.rows, u => ({
       id: u.id,
       displayName: u.display_name,
       avatarUrl: u.avatar_url,
       bio: u.bio
-    })));
+    }));
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get following error:', error);
     res.status(500).json({ error: 'Server error' });
   }
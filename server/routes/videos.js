@@ -1,28 +1,230 @@
 const express = require('express');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
 const { pool } = require('../db');
-const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { authMiddleware, optionalAuth, requireVerifiedEmail, requireRole, requireScope } = require('../middleware/auth');
 const { awardXp, awardXpDirect, XP_REWARDS, getNextLevelXp, getCurrentLevelXp } = require('../services/xp');
 const { getBlockedUserIds } = require('./block');
+const storage = require('../services/storage');
+const { getRecommendedVideos, getRelatedVideos } = require('../services/recommendations');
+const { recordWatch } = require('../services/watchHistory');
+const { HIGHLIGHT_OPTIONS, SNIPPET_OPTIONS, normalizeSearchLanguage, tsQuerySql, buildPrefixQuery } = require('../services/search');
+const { getPageParams, cursorSelect, keysetCondition, isInvalidInputError, sendPage } = require('../services/pagination');
+const { parseVisibility, announceNewVideos } = require('../services/publishing');
+const { parseChapters, setChapters, getChapters, matchingChaptersSql, formatChapter } = require('../services/chapters');
+const { COMMENT_STATUSES, parseHeldKeywords, getCommentStatus } = require('../services/commentModeration');
+const { parseMaterials, setMaterials, getMaterials, formatMaterial } = require('../services/materials');
+const {
+  REPAIR_DETAIL_FIELDS,
+  REPAIR_SORT_COLUMNS,
+  parseRepairDetails,
+  parseRepairFilters,
+  repairFilterSql,
+  sortByRepairDetails,
+  formatRepairDetails
+} = require('../services/repairDetails');
+const { MAX_UPLOAD_BYTES, ALLOWED_VIDEO_MIME_TYPES, processUpload } = require('../services/videoProcessing');
 
 const router = express.Router();
 
-router.get('/', optionalAuth, async (req, res) => {
+// Uploads stream straight to a temp file; processUpload moves them into storage once validated
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      storage.ensureDirs().then(() => cb(null, storage.TMP_DIR), cb);
+    },
+    filename: (req, file, cb) => cb(null, crypto.randomUUID())
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_VIDEO_MIME_TYPES[file.mimetype]) {
+      const error = new Error('Only MP4 and MOV videos are supported');
+      error.code = 'UNSUPPORTED_MEDIA_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+const handleVideoUpload = (req, res, next) => {
+  upload.single('video')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Video cannot exceed ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB` });
+    }
+    
+    if (error.code === 'UNSUPPORTED_MEDIA_TYPE') {
+      return res.status(415).json({ error: error.message });
+    }
+    
+    console.error('Video upload error:', error);
+    res.status(400).json({ error: 'Invalid upload' });
+  });
+};
+
+// Multipart fields arrive as strings; tags may be a JSON array or a comma-separated list
+const parseTagsField = (tags) => {
+  if (!tags) return [];
+  if (Array.isArray(tags)) return tags;
+  try {
+    const parsed = JSON.parse(tags);
+    if (Array.isArray(parsed)) return parsed.map(String);
+  } catch (error) {
+    // not JSON, fall through to comma-separated
+  }
+  return String(tags).split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+// Limits shared by creation and editing (title/description also match the column sizes)
+const getVideoFieldsError = ({ title, description }) => {
+  if (title !== undefined && title.length > 60) {
+    return 'Title cannot exceed 60 characters';
+  }
+  if (description && description.length > 300) {
+    return 'Description cannot exceed 300 characters';
+  }
+  return null;
+};
+
+// Links to files hosted elsewhere; these are only ever redirected to, never read from storage
+const isHttpUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// A repeated query parameter arrives as an array (and a[b]=c as an object); returns the
+// first of the given text parameters that is not a plain string
+const getNonTextParam = (query, names) =>
+  names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+
+// Column values for a new video; details holds only what the author sent
+const withRepairDefaults = (details) => ({
+  difficulty: null,
+  estimated_minutes: null,
+  estimated_cost: null,
+  requires_permit: false,
+  professional_only: false,
+  ...details
+});
+
+// Unfinished uploads, drafts and scheduled videos exist only for their author; unlisted ones open by link
+const isVisibleTo = (row, userId) => {
+  if (row.author_id === userId) return true;
+  return row.processing_status === 'ready' && (row.visibility === 'published' || row.visibility === 'unlisted');
+};
+
+// Shared by GET /:id and /:id/stream; row needs author_id and author_blocked_ids
+const getBlockError = async (userId, row) => {
+  if (!userId) return null;
+  
+  const authorBlockedIds = row.author_blocked_ids || [];
+  if (authorBlockedIds.includes(userId)) {
+    return { error: 'Content not available', isBlockedByUser: true };
+  }
+  
+  const blockedUserIds = await getBlockedUserIds(userId);
+  if (blockedUserIds.includes(row.author_id)) {
+    return { error: 'Content not available', isBlocked: true };
+  }
+  
+  return null;
+};
+
+// Keyset columns per sort order; the last column is unique so positions never tie
+const VIDEO_SORT_COLUMNS = {
+  recent: ['v.published_at', 'v.id'],
+  popular: ['v.likes_count', 'v.published_at', 'v.id']
+};
+
+const formatVideo = (row) => ({
+  id: row.id,
+  title: row.title,
+  description: row.description,
+  category: row.category,
+  tags: row.tags,
+  streamUrl: `/api/videos/${row.id}/stream`,
+  thumbnailUrl: row.thumbnail_url,
+  duration: row.duration,
+  likesCount: row.likes_count,
+  viewsCount: row.views_count,
+  commentsEnabled: row.comments_enabled,
+  authorId: row.author_id,
+  authorName: row.author_name,
+  authorAvatar: row.author_avatar,
+  isLiked: row.is_liked,
+  isSaved: row.is_saved,
+  ...formatRepairDetails(row),
+  createdAt: row.created_at
+});
+
+router.get('/', optionalAuth, requireScope('videos:read'), async (req, res) => {
   try {
-    const { category, search, sort = 'recent', limit = 20, offset = 0 } = req.query;
+    const nonTextParam = getNonTextParam(req.query, ['search', 'category', 'sort']);
+    if (nonTextParam) {
+      return res.status(400).json({ error: `${nonTextParam} must be given once` });
+    }
+    
+    const { category, search } = req.query;
+    let sort = req.query.sort || (search ? 'relevance' : 'recent');
+    if (sort === 'relevance' && !search) sort = 'recent';
+    if (sort !== 'relevance' && !VIDEO_SORT_COLUMNS[sort] && !REPAIR_SORT_COLUMNS[sort]) sort = 'recent';
+    
+    const repair = parseRepairFilters(req.query);
+    if (repair.error) {
+      return res.status(400).json({ error: repair.error });
+    }
+    
+    // $2 holds the search text when searching, so rank/snippets can reference it in the SELECT
+    const searchQuery = search ? tsQuerySql('$2') : null;
+    const sortColumns = sort === 'relevance'
+      ? [`ts_rank_cd(v.search_text, ${searchQuery})`, 'v.published_at', 'v.id']
+      : VIDEO_SORT_COLUMNS[sort] || REPAIR_SORT_COLUMNS[sort];
+    // Repair detail sorts put the quickest, cheapest or easiest fix first
+    const direction = REPAIR_SORT_COLUMNS[sort] ? 'ASC' : 'DESC';
+    
+    const page = getPageParams(req.query, { key: `videos:${sort}`, columns: sortColumns });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     
     const blockedUserIds = await getBlockedUserIds(req.userId);
     
+    const params = [req.userId || null];
+    let paramIndex = 2;
+    
+    let searchColumns = '';
+    if (search) {
+      searchColumns = `,
+             ts_rank_cd(v.search_text, ${searchQuery}) as search_rank,
+             ts_headline(v.search_language::regconfig, v.title, ${searchQuery}, '${HIGHLIGHT_OPTIONS}, HighlightAll=true') as title_highlight,
+             ts_headline(v.search_language::regconfig, COALESCE(v.description, ''), ${searchQuery}, '${SNIPPET_OPTIONS}') as description_snippet,
+             ${matchingChaptersSql(searchQuery)} as matched_chapters`;
+      params.push(search);
+      paramIndex++;
+    }
+    
     let query = `
       SELECT v.*, u.display_name as author_name, u.avatar_url as author_avatar,
              EXISTS(SELECT 1 FROM video_likes WHERE video_id = v.id AND user_id = $1) as is_liked,
-             EXISTS(SELECT 1 FROM video_saves WHERE video_id = v.id AND user_id = $1) as is_saved
+             EXISTS(SELECT 1 FROM video_saves WHERE video_id = v.id AND user_id = $1) as is_saved${searchColumns},
+             ${cursorSelect(sortColumns)}
       FROM videos v
       JOIN users u ON v.author_id = u.id
-      WHERE v.is_flagged = false
+      WHERE v.is_flagged = false AND v.processing_status = 'ready' AND v.visibility = 'published'
     `;
     
-    const params = [req.userId || null];
-    let paramIndex = 2;
+    if (searchQuery) {
+      query += ` AND v.search_text @@ ${searchQuery}`;
+    }
     
     if (blockedUserIds.length > 0) {
       query += ` AND v.author_id != ALL($${paramIndex})`;
@@ -36,60 +238,58 @@ router.get('/', optionalAuth, async (req, res) => {
       paramIndex++;
     }
     
-    if (search) {
-      query += ` AND (
-        v.title ILIKE $${paramIndex} OR 
-        v.description ILIKE $${paramIndex} OR 
-        $${paramIndex + 1} = ANY(v.tags)
-      )`;
-      params.push(`%${search}%`);
-      params.push(search.toLowerCase());
-      paramIndex += 2;
-    }
+    const repairFilter = repairFilterSql(repair.filters, paramIndex);
+    query += repairFilter.sql;
+    params.push(...repairFilter.params);
+    paramIndex += repairFilter.params.length;
     
-    switch (sort) {
-      case 'popular':
-        query += ' ORDER BY v.likes_count DESC, v.created_at DESC';
-        break;
-      case 'recent':
-      default:
-        query += ' ORDER BY v.created_at DESC';
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, paramIndex, direction);
+      query += ` AND ${keyset.sql}`;
+      params.push(...keyset.params);
+      paramIndex += keyset.params.length;
     }
     
+    query += ` ORDER BY ${sortColumns.map(column => `${column} ${direction}`).join(', ')}`;
     query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    params.push(parseInt(limit), parseInt(offset));
+    params.push(page.limit + 1, page.offset);
     
     const result = await pool.query(query, params);
     
-    const videos = result.rows.map(row => ({
-      id: row.id,
-      title: row.title,
-      description: row.description,
-      category: row.category,
-      tags: row.tags,
-      videoUrl: row.video_url,
-      thumbnailUrl: row.thumbnail_url,
-      duration: row.duration,
-      likesCount: row.likes_count,
-      commentsEnabled: row.comments_enabled,
-      authorId: row.author_id,
-      authorName: row.author_name,
-      authorAvatar: row.author_avatar,
-      isLiked: row.is_liked,
-      isSaved: row.is_saved,
-      createdAt: row.created_at
+    sendPage(res, page, result.rows, row => ({
+      ...formatVideo(row),
+      searchRank: searchQuery ? row.search_rank : undefined,
+      highlights: searchQuery ? { title: row.title_highlight, description: row.description_snippet } : undefined,
+      matchedChapters: searchQuery ? row.matched_chapters || [] : undefined
     }));
-    
-    res.json(videos);
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get videos error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.get('/feed', optionalAuth, async (req, res) => {
+router.get('/feed', optionalAuth, requireScope('videos:read'), async (req, res) => {
   try {
     const userId = req.userId || null;
+    
+    if (getNonTextParam(req.query, ['sort'])) {
+      return res.status(400).json({ error: 'sort must be given once' });
+    }
+    
+    // The feed only takes the repair detail sorts; its sections have their own order otherwise
+    const { sort } = req.query;
+    if (sort && !REPAIR_SORT_COLUMNS[sort]) {
+      return res.status(400).json({ error: `Sort must be one of: ${Object.keys(REPAIR_SORT_COLUMNS).join(', ')}` });
+    }
+    
+    const repair = parseRepairFilters(req.query);
+    if (repair.error) {
+      return res.status(400).json({ error: repair.error });
+    }
+    
     const blockedUserIds = await getBlockedUserIds(userId);
     
     const blockedFilter = blockedUserIds.length > 0 
@@ -99,25 +299,19 @@ router.get('/feed', optionalAuth, async (req, res) => {
       ? [userId, blockedUserIds] 
       : [userId];
     
+    const repairFilter = repairFilterSql(repair.filters, queryParams.length + 1);
+    queryParams.push(...repairFilter.params);
+    
     const [recommended, recent, popular] = await Promise.all([
+      getRecommendedVideos(userId, blockedUserIds, 10, repair.filters),
       pool.query(`
         SELECT v.*, u.display_name as author_name, u.avatar_url as author_avatar,
                EXISTS(SELECT 1 FROM video_likes WHERE video_id = v.id AND user_id = $1) as is_liked,
                EXISTS(SELECT 1 FROM video_saves WHERE video_id = v.id AND user_id = $1) as is_saved
         FROM videos v
         JOIN users u ON v.author_id = u.id
-        WHERE v.is_flagged = false ${blockedFilter}
-        ORDER BY v.likes_count DESC, v.created_at DESC
-        LIMIT 10
-      `, queryParams),
-      pool.query(`
-        SELECT v.*, u.display_name as author_name, u.avatar_url as author_avatar,
-               EXISTS(SELECT 1 FROM video_likes WHERE video_id = v.id AND user_id = $1) as is_liked,
-               EXISTS(SELECT 1 FROM video_saves WHERE video_id = v.id AND user_id = $1) as is_saved
-        FROM videos v
-        JOIN users u ON v.author_id = u.id
-        WHERE v.is_flagged = false ${blockedFilter}
-        ORDER BY v.created_at DESC
+        WHERE v.is_flagged = false AND v.processing_status = 'ready' AND v.visibility = 'published' ${blockedFilter}${repairFilter.sql}
+        ORDER BY v.published_at DESC
         LIMIT 10
       `, queryParams),
       pool.query(`
@@ -126,33 +320,18 @@ router.get('/feed', optionalAuth, async (req, res) => {
                EXISTS(SELECT 1 FROM video_saves WHERE video_id = v.id AND user_id = $1) as is_saved
         FROM videos v
         JOIN users u ON v.author_id = u.id
-        WHERE v.is_flagged = false AND v.created_at > NOW() - INTERVAL '30 days' ${blockedFilter}
+        WHERE v.is_flagged = false AND v.processing_status = 'ready' AND v.visibility = 'published' AND v.published_at > NOW() - INTERVAL '30 days' ${blockedFilter}${repairFilter.sql}
         ORDER BY v.likes_count DESC
         LIMIT 10
       `, queryParams)
     ]);
     
-    const formatVideos = (rows) => rows.map(row => ({
-      id: row.id,
-      title: row.title,
-      description: row.description,
-      category: row.category,
-      tags: row.tags,
-      videoUrl: row.video_url,
-      thumbnailUrl: row.thumbnail_url,
-      duration: row.duration,
-      likesCount: row.likes_count,
-      commentsEnabled: row.comments_enabled,
-      authorId: row.author_id,
-      authorName: row.author_name,
-      authorAvatar: row.author_avatar,
-      isLiked: row.is_liked,
-      isSaved: row.is_saved,
-      createdAt: row.created_at
-    }));
+    // The sort is presentation-only: each section still picks its 10 videos by its own rule
+    // and the sort just orders them. GET / with the same sort ranks the whole catalogue.
+    const formatVideos = (rows) => sortByRepairDetails(rows, sort).map(formatVideo);
     
     res.json({
-      recommended: formatVideos(recommended.rows),
+      recommended: formatVideos(recommended),
       new: formatVideos(recent.rows),
       popular: formatVideos(popular.rows)
     });
@@ -162,7 +341,61 @@ router.get('/feed', optionalAuth, async (req, res) => {
   }
 });
 
-router.get('/:id', optionalAuth, async (req, res) => {
+// Autocomplete for the search box: matching video titles first, then popular tags
+router.get('/search/suggest', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    if (getNonTextParam(req.query, ['q'])) {
+      return res.status(400).json({ error: 'q must be given once' });
+    }
+    
+    const { q = '' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+    
+    const prefixQuery = buildPrefixQuery(q);
+    if (!prefixQuery) {
+      return res.json([]);
+    }
+    
+    const blockedUserIds = await getBlockedUserIds(req.userId);
+    const tsQuery = tsQuerySql('$1', 'prefix');
+    
+    const titleResult = await pool.query(`
+      SELECT v.id, v.title
+      FROM videos v
+      WHERE v.is_flagged = false AND v.processing_status = 'ready' AND v.visibility = 'published'
+        AND v.author_id != ALL($2)
+        AND v.search_text @@ ${tsQuery}
+      ORDER BY ts_rank_cd(v.search_text, ${tsQuery}) DESC, v.likes_count DESC
+      LIMIT $3
+    `, [prefixQuery, blockedUserIds, limit]);
+    
+    // Tags are matched on the raw prefix, with LIKE wildcards escaped
+    const tagPrefix = q.trim().toLowerCase().replace(/[\\%_]/g, '\\$&');
+    const tagResult = await pool.query(`
+      SELECT tag, COUNT(*)::INTEGER as count
+      FROM videos v, unnest(v.tags) as tag
+      WHERE v.is_flagged = false AND v.processing_status = 'ready' AND v.visibility = 'published'
+        AND v.author_id != ALL($2)
+        AND lower(tag) LIKE $1 || '%'
+      GROUP BY tag
+      ORDER BY count DESC, tag
+      LIMIT $3
+    `, [tagPrefix, blockedUserIds, Math.max(1, Math.floor(limit / 3))]);
+    
+    // Tags get up to a third of the slots; titles fill the rest
+    const suggestions = [
+      ...titleResult.rows.slice(0, limit - tagResult.rows.length).map(row => ({ type: 'video', text: row.title, videoId: row.id })),
+      ...tagResult.rows.map(row => ({ type: 'tag', text: row.tag, count: row.count }))
+    ];
+    
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/:id', optionalAuth, requireScope('videos:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT v.*, u.display_name as author_name, u.avatar_url as author_avatar,
@@ -180,34 +413,51 @@ router.get('/:id', optionalAuth, async (req, res) => {
     
     const row = result.rows[0];
     
-    if (req.userId) {
-      const authorBlockedIds = row.author_blocked_ids || [];
-      if (authorBlockedIds.includes(req.userId)) {
-        return res.status(403).json({ error: 'Content not available', isBlockedByUser: true });
-      }
-      
-      const blockedUserIds = await getBlockedUserIds(req.userId);
-      if (blockedUserIds.includes(row.author_id)) {
-        return res.status(403).json({ error: 'Content not available', isBlocked: true });
-      }
+    if (!isVisibleTo(row, req.userId)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const blockError = await getBlockError(req.userId, row);
+    if (blockError) {
+      return res.status(403).json(blockError);
     }
     
+    const [chapters, materials] = await Promise.all([getChapters(row.id), getMaterials(row.id)]);
+    
     res.json({
       id: row.id,
       title: row.title,
       description: row.description,
       category: row.category,
       tags: row.tags,
+      language: row.search_language,
       videoUrl: row.video_url,
+      streamUrl: `/api/videos/${row.id}/stream`,
       thumbnailUrl: row.thumbnail_url,
       duration: row.duration,
+      width: row.width,
+      height: row.height,
+      videoCodec: row.video_codec,
+      audioCodec: row.audio_codec,
       likesCount: row.likes_count,
+      viewsCount: row.views_count,
       commentsEnabled: row.comments_enabled,
       authorId: row.author_id,
       authorName: row.author_name,
       authorAvatar: row.author_avatar,
       isLiked: row.is_liked,
       isSaved: row.is_saved,
+      processingStatus: row.processing_status,
+      processingError: row.author_id === req.userId ? row.processing_error : undefined,
+      visibility: row.visibility,
+      publishAt: row.publish_at,
+      publishedAt: row.published_at,
+      ...formatRepairDetails(row),
+      chapters: chapters.map(formatChapter),
+      materials: materials.map(formatMaterial),
+      commentsFollowersOnly: row.comments_followers_only,
+      pinnedCommentId: row.pinned_comment_id,
+      heldKeywords: row.author_id === req.userId ? row.held_keywords : undefined,
       createdAt: row.created_at
     });
   } catch (error) {
@@ -216,7 +466,144 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-router.post('/', authMiddleware, async (req, res) => {
+// What to watch next: other videos ranked by how closely they relate to this one
+router.get('/:id/related', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 30);
+    
+    const result = await pool.query(`
+      SELECT v.id, v.author_id, v.processing_status, v.visibility,
+             u.blocked_user_ids as author_blocked_ids
+      FROM videos v
+      JOIN users u ON v.author_id = u.id
+      WHERE v.id = $1
+    `, [req.params.id]);
+    
+    const row = result.rows[0];
+    
+    if (!row || !isVisibleTo(row, req.userId)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const blockError = await getBlockError(req.userId, row);
+    if (blockError) {
+      return res.status(403).json(blockError);
+    }
+    
+    const blockedUserIds = await getBlockedUserIds(req.userId);
+    const related = await getRelatedVideos(row.id, req.userId || null, blockedUserIds, limit);
+    
+    res.json(related.map(video => ({
+      ...formatVideo(video),
+      relatedScore: video.related_score
+    })));
+  } catch (error) {
+    console.error('Get related videos error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/:id/stream', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT v.id, v.author_id, v.video_url, v.storage_key, v.mime_type, v.is_flagged, v.processing_status, v.visibility,
+             u.blocked_user_ids as author_blocked_ids
+      FROM videos v
+      JOIN users u ON v.author_id = u.id
+      WHERE v.id = $1
+    `, [req.params.id]);
+    
+    const row = result.rows[0];
+    const isAuthor = row && row.author_id === req.userId;
+    
+    if (!row || (row.is_flagged && !isAuthor) || !isVisibleTo(row, req.userId)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const blockError = await getBlockError(req.userId, row);
+    if (blockError) {
+      return res.status(403).json(blockError);
+    }
+    
+    if (!row.storage_key) {
+      // Videos created from an external URL are not hosted here
+      if (isHttpUrl(row.video_url)) {
+        return res.redirect(302, row.video_url);
+      }
+      return res.status(404).json({ error: 'Video file not available' });
+    }
+    
+    const filePath = storage.getFilePath(row.storage_key);
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Video file not available' });
+      }
+      throw error;
+    }
+    
+    const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    const lastModified = stats.mtime.toUTCString();
+    
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': row.mime_type || 'video/mp4',
+      'ETag': etag,
+      'Last-Modified': lastModified,
+      // Access depends on the viewer (blocks, flags), so shared caches must not store it
+      'Cache-Control': 'private, max-age=3600'
+    });
+    
+    // req.fresh evaluates If-None-Match / If-Modified-Since against the headers above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    let start = 0;
+    let end = stats.size - 1;
+    
+    // If-Range: only honour the Range header when the client's copy is still current
+    const ifRange = req.get('If-Range');
+    const rangeApplies = !ifRange || ifRange === etag || ifRange === lastModified;
+    
+    if (req.get('Range') && rangeApplies) {
+      const ranges = req.range(stats.size, { combine: true });
+      
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${stats.size}`);
+        return res.status(416).end();
+      }
+      
+      // Malformed or multi-part ranges fall back to the full body, which RFC 9110 allows
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        start = ranges[0].start;
+        end = ranges[0].end;
+        res.status(206);
+        res.set('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+      }
+    }
+    
+    res.set('Content-Length', String(end - start + 1));
+    
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+    
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (error) => {
+      console.error('Stream video error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Stream video error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/', authMiddleware, requireScope('videos:write'), requireVerifiedEmail, async (req, res) => {
   try {
     const { title, description, category, tags, videoUrl, thumbnailUrl, duration, commentsEnabled = true } = req.body;
     
@@ -224,26 +611,58 @@ router.post('/', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Title, category, and duration are required' });
     }
     
+    if (!isHttpUrl(videoUrl)) {
+      return res.status(400).json({ error: 'videoUrl must be an http(s) link; upload files through POST /api/videos/upload' });
+    }
+    
+    if (thumbnailUrl && !isHttpUrl(thumbnailUrl)) {
+      return res.status(400).json({ error: 'thumbnailUrl must be an http(s) URL' });
+    }
+    
+    if (!Number.isInteger(duration) || duration < 1) {
+      return res.status(400).json({ error: 'Duration must be a whole number of seconds' });
+    }
+    
     if (duration > 60) {
       return res.status(400).json({ error: 'Video duration cannot exceed 60 seconds' });
     }
     
-    if (title.length > 60) {
-      return res.status(400).json({ error: 'Title cannot exceed 60 characters' });
+    const fieldsError = getVideoFieldsError({ title, description });
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    
+    const searchLanguage = normalizeSearchLanguage(req.body.language);
+    if (!searchLanguage) {
+      return res.status(400).json({ error: 'Unsupported language' });
     }
     
-    if (description && description.length > 300) {
-      return res.status(400).json({ error: 'Description cannot exceed 300 characters' });
+    const publishing = parseVisibility(req.body);
+    if (publishing.error) {
+      return res.status(400).json({ error: publishing.error });
     }
     
+    const repair = parseRepairDetails(req.body);
+    if (repair.error) {
+      return res.status(400).json({ error: repair.error });
+    }
+    const details = withRepairDefaults(repair.details);
+    
     const result = await pool.query(`
-      INSERT INTO videos (author_id, title, description, category, tags, video_url, thumbnail_url, duration, comments_enabled)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      INSERT INTO videos (author_id, title, description, category, tags, video_url, thumbnail_url, duration, comments_enabled, search_language,
+                          visibility, publish_at, published_at,
+                          difficulty, estimated_minutes, estimated_cost, requires_permit, professional_only)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CASE WHEN $11 = 'published' THEN NOW() END,
+              $13, $14, $15, $16, $17)
       RETURNING *
-    `, [req.userId, title, description, category, tags || [], videoUrl, thumbnailUrl, duration, commentsEnabled]);
+    `, [req.userId, title, description, category, tags || [], videoUrl, thumbnailUrl, duration, commentsEnabled, searchLanguage,
+        publishing.visibility, publishing.publishAt,
+        details.difficulty, details.estimated_minutes, details.estimated_cost, details.requires_permit, details.professional_only]);
     
     const video = result.rows[0];
     
+    await announceNewVideos([video.id]);
+    
     const userResult = await pool.query(
       'SELECT display_name, avatar_url FROM users WHERE id = $1',
       [req.userId]
@@ -267,6 +686,10 @@ router.post('/', authMiddleware, async (req, res) => {
       authorAvatar: userResult.rows[0].avatar_url,
       isLiked: false,
       isSaved: false,
+      visibility: video.visibility,
+      publishAt: video.publish_at,
+      publishedAt: video.published_at,
+      ...formatRepairDetails(video),
       createdAt: video.created_at,
       xpAwarded: xpResult.success ? xpResult.xpAwarded : 0,
       totalXp: xpResult.success ? xpResult.xp : undefined,
@@ -279,46 +702,464 @@ router.post('/', authMiddleware, async (req, res) => {
   }
 });
 
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.post('/upload', authMiddleware, requireScope('videos:write'), requireVerifiedEmail, handleVideoUpload, async (req, res) => {
+  const discardFile = () => req.file && fs.promises.unlink(req.file.path).catch(() => {});
+  
   try {
-    const result = await pool.query(
-      'DELETE FROM videos WHERE id = $1 AND author_id = $2 RETURNING id',
-      [req.params.id, req.userId]
-    );
+    if (!req.file) {
+      return res.status(400).json({ error: 'Video file is required (field "video")' });
+    }
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Video not found or not authorized' });
+    const { title, description, category, thumbnailUrl } = req.body;
+    const tags = parseTagsField(req.body.tags);
+    const commentsEnabled = req.body.commentsEnabled !== 'false';
+    
+    if (!title || !category) {
+      discardFile();
+      return res.status(400).json({ error: 'Title and category are required' });
     }
     
-    res.json({ message: 'Video deleted' });
+    if (thumbnailUrl && !isHttpUrl(thumbnailUrl)) {
+      discardFile();
+      return res.status(400).json({ error: 'thumbnailUrl must be an http(s) URL' });
+    }
+    
+    const fieldsError = getVideoFieldsError({ title, description });
+    if (fieldsError) {
+      discardFile();
+      return res.status(400).json({ error: fieldsError });
+    }
+    
+    const searchLanguage = normalizeSearchLanguage(req.body.language);
+    if (!searchLanguage) {
+      discardFile();
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+    
+    const publishing = parseVisibility(req.body);
+    if (publishing.error) {
+      discardFile();
+      return res.status(400).json({ error: publishing.error });
+    }
+    
+    const repair = parseRepairDetails(req.body);
+    if (repair.error) {
+      discardFile();
+      return res.status(400).json({ error: repair.error });
+    }
+    const details = withRepairDefaults(repair.details);
+    
+    const result = await pool.query(`
+      INSERT INTO videos (author_id, title, description, category, tags, thumbnail_url, comments_enabled, search_language,
+                          visibility, publish_at, published_at,
+                          difficulty, estimated_minutes, estimated_cost, requires_permit, professional_only,
+                          processing_status, processing_started_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CASE WHEN $9 = 'published' THEN NOW() END,
+              $11, $12, $13, $14, $15, 'processing', NOW())
+      RETURNING *
+    `, [req.userId, title, description || null, category, tags, thumbnailUrl || null, commentsEnabled, searchLanguage,
+        publishing.visibility, publishing.publishAt,
+        details.difficulty, details.estimated_minutes, details.estimated_cost, details.requires_permit, details.professional_only]);
+    
+    const video = result.rows[0];
+    
+    const userResult = await pool.query(
+      'SELECT display_name, avatar_url FROM users WHERE id = $1',
+      [req.userId]
+    );
+    
+    // Validation, storage and the upload XP follow in the background; the client polls GET /api/videos/:id
+    setImmediate(() => processUpload(video.id, req.file));
+    
+    res.status(202).json({
+      id: video.id,
+      title: video.title,
+      description: video.description,
+      category: video.category,
+      tags: video.tags,
+      videoUrl: null,
+      thumbnailUrl: video.thumbnail_url,
+      duration: video.duration,
+      likesCount: 0,
+      commentsEnabled: video.comments_enabled,
+      authorId: video.author_id,
+      authorName: userResult.rows[0].display_name,
+      authorAvatar: userResult.rows[0].avatar_url,
+      isLiked: false,
+      isSaved: false,
+      processingStatus: video.processing_status,
+      visibility: video.visibility,
+      publishAt: video.publish_at,
+      ...formatRepairDetails(video),
+      createdAt: video.created_at
+    });
   } catch (error) {
-    console.error('Delete video error:', error);
+    discardFile();
+    console.error('Upload video error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.post('/:id/like', authMiddleware, async (req, res) => {
+// Columns an author may edit, with the API field names recorded in video_revisions.changed_fields
+const EDITABLE_VIDEO_FIELDS = {
+  title: 'title',
+  description: 'description',
+  category: 'category',
+  tags: 'tags',
+  thumbnail_url: 'thumbnailUrl',
+  comments_enabled: 'commentsEnabled',
+  search_language: 'language',
+  ...Object.fromEntries(Object.entries(REPAIR_DETAIL_FIELDS).map(([field, column]) => [column, field]))
+};
+
+const formatEditedVideo = (video, changedFields) => ({
+  id: video.id,
+  title: video.title,
+  description: video.description,
+  category: video.category,
+  tags: video.tags,
+  language: video.search_language,
+  videoUrl: video.video_url,
+  thumbnailUrl: video.thumbnail_url,
+  duration: video.duration,
+  likesCount: video.likes_count,
+  viewsCount: video.views_count,
+  commentsEnabled: video.comments_enabled,
+  ...formatRepairDetails(video),
+  authorId: video.author_id,
+  changedFields,
+  createdAt: video.created_at,
+  updatedAt: video.updated_at
+});
+
+// Author-only metadata edit; the previous values are kept in video_revisions
+router.put('/:id', authMiddleware, requireScope('videos:write'), requireVerifiedEmail, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const videoId = req.params.id;
+    const { title, description, category, thumbnailUrl, commentsEnabled, language } = req.body;
+    // Same formats as creation: an array or a comma-separated list
+    const tags = req.body.tags !== undefined ? parseTagsField(req.body.tags) : undefined;
     
-    const existing = await pool.query(
-      'SELECT id FROM video_likes WHERE user_id = $1 AND video_id = $2',
-      [req.userId, videoId]
-    );
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+      return res.status(400).json({ error: 'Title cannot be empty' });
+    }
     
-    if (existing.rows.length > 0) {
-      await pool.query('DELETE FROM video_likes WHERE user_id = $1 AND video_id = $2', [req.userId, videoId]);
-      await pool.query('UPDATE videos SET likes_count = likes_count - 1 WHERE id = $1', [videoId]);
+    if (category !== undefined && (typeof category !== 'string' || category.trim().length === 0)) {
+      return res.status(400).json({ error: 'Category cannot be empty' });
+    }
+    
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return res.status(400).json({ error: 'Description must be a string' });
+    }
+    
+    const fieldsError = getVideoFieldsError({ title, description });
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    
+    if (tags !== undefined && !tags.every(tag => typeof tag === 'string')) {
+      return res.status(400).json({ error: 'Tags must be an array of strings' });
+    }
+    
+    // The poster frame generated for an upload may be sent back unchanged
+    if (thumbnailUrl && !isHttpUrl(thumbnailUrl) && thumbnailUrl !== storage.getPublicUrl(`thumbnails/${req.params.id}.jpg`)) {
+      return res.status(400).json({ error: 'thumbnailUrl must be an http(s) URL' });
+    }
+    
+    if (commentsEnabled !== undefined && typeof commentsEnabled !== 'boolean') {
+      return res.status(400).json({ error: 'commentsEnabled must be a boolean' });
+    }
+    
+    const searchLanguage = language !== undefined ? normalizeSearchLanguage(language) : undefined;
+    if (searchLanguage === null) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+    
+    const repair = parseRepairDetails(req.body);
+    if (repair.error) {
+      return res.status(400).json({ error: repair.error });
+    }
+    
+    await client.query('BEGIN');
+    
+    const currentResult = await client.query('SELECT * FROM videos WHERE id = $1 FOR UPDATE', [req.params.id]);
+    const current = currentResult.rows[0];
+    
+    if (!current || current.author_id !== req.userId) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Video not found or not authorized' });
+    }
+    
+    const updated = {
+      title: title !== undefined ? title : current.title,
+      description: description !== undefined ? (description || null) : current.description,
+      category: category !== undefined ? category : current.category,
+      tags: tags !== undefined ? tags : current.tags,
+      thumbnail_url: thumbnailUrl !== undefined ? (thumbnailUrl || null) : current.thumbnail_url,
+      comments_enabled: commentsEnabled !== undefined ? commentsEnabled : current.comments_enabled,
+      search_language: searchLanguage !== undefined ? searchLanguage : current.search_language,
+      ...Object.fromEntries(Object.values(REPAIR_DETAIL_FIELDS).map(column => [column, current[column]])),
+      ...repair.details
+    };
+    
+    const changedFields = Object.keys(updated)
+      .filter(column => JSON.stringify(updated[column]) !== JSON.stringify(current[column]))
+      .map(column => EDITABLE_VIDEO_FIELDS[column]);
+    
+    let video = current;
+    
+    if (changedFields.length === 0) {
+      await client.query('ROLLBACK');
+      return res.json(formatEditedVideo(video, changedFields));
+    }
+    
+    await client.query(`
+      INSERT INTO video_revisions (video_id, editor_id, title, description, category, tags, thumbnail_url, comments_enabled, search_language,
+                                   difficulty, estimated_minutes, estimated_cost, requires_permit, professional_only, changed_fields)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    `, [
+      current.id, req.userId, current.title, current.description, current.category, current.tags,
+      current.thumbnail_url, current.comments_enabled, current.search_language,
+      current.difficulty, current.estimated_minutes, current.estimated_cost, current.requires_permit, current.professional_only,
+      changedFields
+    ]);
+    
+    const result = await client.query(`
+      UPDATE videos
+      SET title = $1, description = $2, category = $3, tags = $4, thumbnail_url = $5,
+          comments_enabled = $6, search_language = $7, difficulty = $8, estimated_minutes = $9,
+          estimated_cost = $10, requires_permit = $11, professional_only = $12, updated_at = NOW()
+      WHERE id = $13
+      RETURNING *
+    `, [
+      updated.title, updated.description, updated.category, updated.tags, updated.thumbnail_url,
+      updated.comments_enabled, updated.search_language, updated.difficulty, updated.estimated_minutes,
+      updated.estimated_cost, updated.requires_permit, updated.professional_only, current.id
+    ]);
+    
+    await client.query('COMMIT');
+    
+    video = result.rows[0];
+    
+    console.log(`[VIDEOS] Video ${video.id} edited by author (${changedFields.join(', ')})`);
+    
+    res.json(formatEditedVideo(video, changedFields));
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Update video error:', error);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Replace the whole chapter list; send [] to remove all chapters
+router.put('/:id/chapters', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const videoResult = await pool.query(
+      'SELECT id, duration FROM videos WHERE id = $1 AND author_id = $2',
+      [req.params.id, req.userId]
+    );
+    
+    if (videoResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found or not authorized' });
+    }
+    
+    const parsed = parseChapters(req.body.chapters, videoResult.rows[0].duration);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    
+    const chapters = await setChapters(req.params.id, parsed.chapters);
+    
+    res.json(chapters.map(formatChapter));
+  } catch (error) {
+    console.error('Update video chapters error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace the whole tools and parts list; send [] to remove it
+router.put('/:id/materials', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const videoResult = await pool.query(
+      'SELECT id FROM videos WHERE id = $1 AND author_id = $2',
+      [req.params.id, req.userId]
+    );
+    
+    if (videoResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found or not authorized' });
+    }
+    
+    const parsed = parseMaterials(req.body.materials);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    
+    const materials = await setMaterials(req.params.id, parsed.materials);
+    
+    res.json(materials.map(formatMaterial));
+  } catch (error) {
+    console.error('Update video materials error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Publish, schedule, unlist or return a video to drafts. Followers are notified the first time it goes public.
+router.put('/:id/visibility', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const publishing = parseVisibility(req.body);
+    if (publishing.error) {
+      return res.status(400).json({ error: publishing.error });
+    }
+    
+    const result = await pool.query(`
+      UPDATE videos
+      SET visibility = $1, publish_at = $2,
+          published_at = CASE WHEN $1 = 'published' THEN COALESCE(published_at, NOW()) ELSE published_at END,
+          updated_at = NOW()
+      WHERE id = $3 AND author_id = $4
+      RETURNING id, author_id, title, visibility, publish_at, published_at, processing_status
+    `, [publishing.visibility, publishing.publishAt, req.params.id, req.userId]);
+    
+    const video = result.rows[0];
+    
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found or not authorized' });
+    }
+    
+    // Uploads still processing are announced by processUpload once they are ready
+    await announceNewVideos([video.id]);
+    
+    res.json({
+      id: video.id,
+      visibility: video.visibility,
+      publishAt: video.publish_at,
+      publishedAt: video.published_at,
+      processingStatus: video.processing_status
+    });
+  } catch (error) {
+    console.error('Update video visibility error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/:id', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM videos WHERE id = $1 AND author_id = $2 RETURNING id, storage_key',
+      [req.params.id, req.userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found or not authorized' });
+    }
+    
+    // Only files the server stored for this row; video_url and thumbnail_url are client data
+    // and never name a local file
+    const { id, storage_key } = result.rows[0];
+    if (storage_key) {
+      await storage.deleteFile(storage_key);
+    }
+    await storage.deleteFile(`thumbnails/${id}.jpg`);
+    
+    res.json({ message: 'Video deleted' });
+  } catch (error) {
+    console.error('Delete video error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/:id/flag', authMiddleware, requireRole('moderator'), async (req, res) => {
+  try {
+    const { flagged = true } = req.body;
+    
+    const result = await pool.query(
+      'UPDATE videos SET is_flagged = $1, updated_at = NOW() WHERE id = $2 RETURNING id, is_flagged',
+      [!!flagged, req.params.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    console.log(`[MODERATION] Video ${req.params.id} ${flagged ? 'flagged' : 'unflagged'} by ${req.userId}`);
+    
+    res.json({ id: result.rows[0].id, isFlagged: result.rows[0].is_flagged });
+  } catch (error) {
+    console.error('Flag video error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Previous versions of a video's metadata, newest first, for reviewing reports
+router.get('/:id/revisions', authMiddleware, requireRole('moderator'), async (req, res) => {
+  try {
+    const videoResult = await pool.query('SELECT id FROM videos WHERE id = $1', [req.params.id]);
+    
+    if (videoResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const result = await pool.query(`
+      SELECT r.*, u.display_name as editor_name
+      FROM video_revisions r
+      LEFT JOIN users u ON r.editor_id = u.id
+      WHERE r.video_id = $1
+      ORDER BY r.created_at DESC
+    `, [req.params.id]);
+    
+    res.json(result.rows.map(row => ({
+      id: row.id,
+      editorId: row.editor_id,
+      editorName: row.editor_name,
+      changedFields: row.changed_fields,
+      title: row.title,
+      description: row.description,
+      category: row.category,
+      tags: row.tags,
+      thumbnailUrl: row.thumbnail_url,
+      commentsEnabled: row.comments_enabled,
+      language: row.search_language,
+      ...formatRepairDetails(row),
+      createdAt: row.created_at
+    })));
+  } catch (error) {
+    console.error('Get video revisions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/:id/like', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    
+    const existing = await pool.query(
+      'SELECT id FROM video_likes WHERE user_id = $1 AND video_id = $2',
+      [req.userId, videoId]
+    );
+    
+    if (existing.rows.length > 0) {
+      await pool.query('DELETE FROM video_likes WHERE user_id = $1 AND video_id = $2', [req.userId, videoId]);
+      await pool.query('UPDATE videos SET likes_count = likes_count - 1 WHERE id = $1', [videoId]);
       
       const result = await pool.query('SELECT likes_count FROM videos WHERE id = $1', [videoId]);
       res.json({ liked: false, likesCount: result.rows[0].likes_count });
     } else {
+      // Existing likes can always be taken back; new ones need a video the user can see
+      const video = await pool.query(
+        'SELECT author_id, title, processing_status, visibility FROM videos WHERE id = $1',
+        [videoId]
+      );
+      if (video.rows.length === 0 || !isVisibleTo(video.rows[0], req.userId)) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      
       await pool.query('INSERT INTO video_likes (user_id, video_id) VALUES ($1, $2)', [req.userId, videoId]);
       await pool.query('UPDATE videos SET likes_count = likes_count + 1 WHERE id = $1', [videoId]);
       
       const result = await pool.query('SELECT likes_count FROM videos WHERE id = $1', [videoId]);
       
-      const video = await pool.query('SELECT author_id, title FROM videos WHERE id = $1', [videoId]);
       if (video.rows[0].author_id !== req.userId) {
         const user = await pool.query('SELECT display_name FROM users WHERE id = $1', [req.userId]);
         await pool.query(`
@@ -335,7 +1176,7 @@ router.post('/:id/like', authMiddleware, async (req, res) => {
   }
 });
 
-router.post('/:id/save', authMiddleware, async (req, res) => {
+router.post('/:id/save', authMiddleware, requireScope('videos:write'), async (req, res) => {
   try {
     const videoId = req.params.id;
     const { folderId } = req.body;
@@ -349,6 +1190,15 @@ router.post('/:id/save', authMiddleware, async (req, res) => {
       await pool.query('DELETE FROM video_saves WHERE user_id = $1 AND video_id = $2', [req.userId, videoId]);
       res.json({ saved: false });
     } else {
+      // Saves can always be removed; new ones need a video the user can see
+      const video = await pool.query(
+        'SELECT author_id, processing_status, visibility FROM videos WHERE id = $1',
+        [videoId]
+      );
+      if (video.rows.length === 0 || !isVisibleTo(video.rows[0], req.userId)) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      
       await pool.query(
         'INSERT INTO video_saves (user_id, video_id, folder_id) VALUES ($1, $2, $3)',
         [req.userId, videoId, folderId || null]
@@ -361,51 +1211,150 @@ router.post('/:id/save', authMiddleware, async (req, res) => {
   }
 });
 
-router.get('/:id/comments', optionalAuth, async (req, res) => {
+// Keyset columns per comment sort order (top-level comments; replies are always oldest first).
+// The pinned comment leads the list in either order; "v" is the commented video.
+const PINNED_FIRST = 'COALESCE(c.id = v.pinned_comment_id, false)';
+const COMMENT_SORT_COLUMNS = {
+  newest: [PINNED_FIRST, 'c.created_at', 'c.id'],
+  top: [PINNED_FIRST, 'c.likes_count', 'c.created_at', 'c.id']
+};
+
+// Comment IDs are UUIDs; checked up front so a malformed parentId is a 400 rather than a query error
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const isValidParentId = (parentId) => typeof parentId === 'string' && UUID_PATTERN.test(parentId);
+
+const formatComment = (row) => ({
+  id: row.id,
+  parentId: row.parent_id,
+  content: row.content,
+  authorId: row.user_id,
+  authorName: row.author_name,
+  authorAvatar: row.author_avatar,
+  likesCount: row.likes_count,
+  repliesCount: row.replies_count,
+  isLiked: row.is_liked,
+  isPinned: row.is_pinned,
+  isEdited: row.edited_at !== null,
+  editedAt: row.edited_at,
+  status: row.status,
+  createdAt: row.created_at
+});
+
+// Keeps a top-level comment's replies_count in step with its visible replies
+const adjustRepliesCount = (parentId, delta) => pool.query(
+  'UPDATE comments SET replies_count = GREATEST(replies_count + $1, 0) WHERE id = $2',
+  [delta, parentId]
+);
+
+// Top-level comments by default; pass parentId to list the replies of one comment.
+// The video author can pass status=held or status=hidden to review comments.
+router.get('/:id/comments', optionalAuth, requireScope('videos:read'), async (req, res) => {
   try {
+    const { parentId, status } = req.query;
+    const sort = COMMENT_SORT_COLUMNS[req.query.sort] ? req.query.sort : 'newest';
+    
+    if (status !== undefined && !COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${COMMENT_STATUSES.join(', ')}` });
+    }
+    
+    if (parentId !== undefined && !isValidParentId(parentId)) {
+      return res.status(400).json({ error: 'Invalid parentId' });
+    }
+    
+    const video = await pool.query(
+      'SELECT author_id, processing_status, visibility FROM videos WHERE id = $1',
+      [req.params.id]
+    );
+    if (video.rows.length === 0 || !isVisibleTo(video.rows[0], req.userId)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    // Only the video author reviews held and hidden comments
+    if (status && status !== 'visible' && video.rows[0].author_id !== req.userId) {
+      return res.status(403).json({ error: 'Only the video author can review comments' });
+    }
+    
+    // A review list covers the whole thread, replies included
+    const reviewing = status === 'held' || status === 'hidden';
+    
+    const sortColumns = parentId || reviewing ? ['c.created_at', 'c.id'] : COMMENT_SORT_COLUMNS[sort];
+    const direction = parentId && !reviewing ? 'ASC' : 'DESC';
+    
+    const page = getPageParams(req.query, {
+      defaultLimit: 50,
+      key: reviewing ? `video-comments-review:${status}`
+        : parentId ? `video-comment-replies:${parentId}` : `video-comments:${sort}`,
+      columns: sortColumns
+    });
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
     const blockedUserIds = await getBlockedUserIds(req.userId);
     
-    const blockedFilter = blockedUserIds.length > 0 
-      ? 'AND c.user_id != ALL($2)' 
-      : '';
-    const queryParams = blockedUserIds.length > 0 
-      ? [req.params.id, blockedUserIds] 
-      : [req.params.id];
+    const params = [req.params.id, blockedUserIds, req.userId || null];
+    let filters = '';
+    
+    if (status) {
+      params.push(status);
+      filters += ` AND c.status = $${params.length}`;
+    } else {
+      // Commenters also see their own held or hidden comments, with their status
+      filters += ` AND (c.status = 'visible' OR c.user_id = $3)`;
+    }
+    
+    if (!reviewing) {
+      params.push(parentId || null);
+      filters += ` AND c.parent_id IS NOT DISTINCT FROM $${params.length}::uuid`;
+    }
+    
+    if (page.after) {
+      const keyset = keysetCondition(sortColumns, page.after, params.length + 1, direction);
+      filters += ` AND ${keyset.sql}`;
+      params.push(...keyset.params);
+    }
     
     const result = await pool.query(`
-      SELECT c.*, u.display_name as author_name, u.avatar_url as author_avatar
+      SELECT c.*, u.display_name as author_name, u.avatar_url as author_avatar,
+             EXISTS(SELECT 1 FROM comment_likes WHERE comment_id = c.id AND user_id = $3) as is_liked,
+             c.id = v.pinned_comment_id as is_pinned,
+             ${cursorSelect(sortColumns)}
       FROM comments c
       JOIN users u ON c.user_id = u.id
-      WHERE c.video_id = $1 ${blockedFilter}
-      ORDER BY c.created_at DESC
-    `, queryParams);
+      JOIN videos v ON v.id = c.video_id
+      WHERE c.video_id = $1 AND c.user_id != ALL($2)${filters}
+      ORDER BY ${sortColumns.map(column => `${column} ${direction}`).join(', ')}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, page.limit + 1, page.offset]);
     
-    const comments = result.rows.map(row => ({
-      id: row.id,
-      content: row.content,
-      authorId: row.user_id,
-      authorName: row.author_name,
-      authorAvatar: row.author_avatar,
-      createdAt: row.created_at
-    }));
-    
-    res.json(comments);
+    sendPage(res, page, result.rows, formatComment);
   } catch (error) {
+    if (isInvalidInputError(error)) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
     console.error('Get comments error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.post('/:id/comments', authMiddleware, async (req, res) => {
+router.post('/:id/comments', authMiddleware, requireScope('videos:write'), async (req, res) => {
   try {
-    const { content } = req.body;
+    const { content, parentId } = req.body;
     
     if (!content || content.trim().length === 0) {
       return res.status(400).json({ error: 'Comment content is required' });
     }
     
-    const video = await pool.query('SELECT comments_enabled, author_id, title FROM videos WHERE id = $1', [req.params.id]);
-    if (video.rows.length === 0) {
+    if (parentId && !isValidParentId(parentId)) {
+      return res.status(400).json({ error: 'Invalid parentId' });
+    }
+    
+    const video = await pool.query(`
+      SELECT comments_enabled, comments_followers_only, held_keywords, author_id, title, processing_status, visibility,
+             EXISTS(SELECT 1 FROM follows WHERE follower_id = $2 AND following_id = videos.author_id) as is_following
+      FROM videos WHERE id = $1
+    `, [req.params.id, req.userId]);
+    if (video.rows.length === 0 || !isVisibleTo(video.rows[0], req.userId)) {
       return res.status(404).json({ error: 'Video not found' });
     }
     
@@ -413,34 +1362,76 @@ router.post('/:id/comments', authMiddleware, async (req, res) => {
       return res.status(403).json({ error: 'Comments are disabled for this video' });
     }
     
+    if (video.rows[0].comments_followers_only && !video.rows[0].is_following && video.rows[0].author_id !== req.userId) {
+      return res.status(403).json({ error: 'Only followers of the author can comment on this video', followersOnly: true });
+    }
+    
     const blockedUserIds = await getBlockedUserIds(req.userId);
     if (blockedUserIds.includes(video.rows[0].author_id)) {
       return res.status(403).json({ error: 'Cannot comment on this video' });
     }
     
+    // Replying to a reply continues the thread of its top-level comment
+    let parent = null;
+    if (parentId) {
+      const parentResult = await pool.query(
+        'SELECT id, parent_id, user_id, status FROM comments WHERE id = $1 AND video_id = $2',
+        [parentId, req.params.id]
+      );
+      parent = parentResult.rows[0];
+      
+      if (!parent || (parent.status !== 'visible' && parent.user_id !== req.userId)) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+      
+      if (blockedUserIds.includes(parent.user_id)) {
+        return res.status(403).json({ error: 'Cannot reply to this comment' });
+      }
+    }
+    
+    const status = getCommentStatus(content, video.rows[0], req.userId);
+    
     const result = await pool.query(`
-      INSERT INTO comments (video_id, user_id, content)
-      VALUES ($1, $2, $3)
+      INSERT INTO comments (video_id, user_id, content, parent_id, status)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING *
-    `, [req.params.id, req.userId, content.trim()]);
+    `, [req.params.id, req.userId, content.trim(), parent ? parent.parent_id || parent.id : null, status]);
+    
+    if (parent && status === 'visible') {
+      await adjustRepliesCount(parent.parent_id || parent.id, 1);
+    }
     
     const user = await pool.query('SELECT display_name, avatar_url FROM users WHERE id = $1', [req.userId]);
     
-    if (video.rows[0].author_id !== req.userId) {
+    if (status === 'held') {
+      await pool.query(`
+        INSERT INTO notifications (user_id, type, title, message, related_user_id, related_video_id)
+        VALUES ($1, 'comment_held', $2, $3, $4, $5)
+      `, [video.rows[0].author_id, 'Comment Awaiting Approval', `A comment by ${user.rows[0].display_name} on "${video.rows[0].title}" is waiting for your approval`, req.userId, req.params.id]);
+    } else if (video.rows[0].author_id !== req.userId) {
       await pool.query(`
         INSERT INTO notifications (user_id, type, title, message, related_user_id, related_video_id)
         VALUES ($1, 'comment', $2, $3, $4, $5)
       `, [video.rows[0].author_id, 'New Comment', `${user.rows[0].display_name} commented on your video "${video.rows[0].title}"`, req.userId, req.params.id]);
     }
     
+    if (parent && status === 'visible' && parent.user_id !== req.userId && parent.user_id !== video.rows[0].author_id) {
+      await pool.query(`
+        INSERT INTO notifications (user_id, type, title, message, related_user_id, related_video_id)
+        VALUES ($1, 'comment_reply', $2, $3, $4, $5)
+      `, [parent.user_id, 'New Reply', `${user.rows[0].display_name} replied to your comment on "${video.rows[0].title}"`, req.userId, req.params.id]);
+    }
+    
     const comment = result.rows[0];
     res.status(201).json({
-      id: comment.id,
-      content: comment.content,
-      authorId: req.userId,
-      authorName: user.rows[0].display_name,
-      authorAvatar: user.rows[0].avatar_url,
-      createdAt: comment.created_at
+      ...formatComment({
+        ...comment,
+        author_name: user.rows[0].display_name,
+        author_avatar: user.rows[0].avatar_url,
+        is_liked: false,
+        is_pinned: false
+      }),
+      message: status === 'held' ? 'Your comment is waiting for approval by the video author' : undefined
     });
   } catch (error) {
     console.error('Create comment error:', error);
@@ -448,7 +1439,267 @@ router.post('/:id/comments', authMiddleware, async (req, res) => {
   }
 });
 
-router.post('/:id/report', authMiddleware, async (req, res) => {
+router.put('/:id/comments/:commentId', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { content } = req.body;
+    
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment content is required' });
+    }
+    
+    const existing = await pool.query(`
+      SELECT c.status, c.parent_id, v.author_id, v.held_keywords, v.pinned_comment_id
+      FROM comments c
+      JOIN videos v ON v.id = c.video_id
+      WHERE c.id = $1 AND c.video_id = $2 AND c.user_id = $3
+    `, [req.params.commentId, req.params.id, req.userId]);
+    
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found or not authorized' });
+    }
+    
+    // Editing in a held keyword holds the comment again; editing never releases a held or hidden one
+    const current = existing.rows[0];
+    const status = current.status === 'visible' ? getCommentStatus(content, current, req.userId) : current.status;
+    
+    const result = await pool.query(`
+      UPDATE comments
+      SET content = $1, status = $2, edited_at = CASE WHEN content = $1 THEN edited_at ELSE NOW() END
+      WHERE id = $3
+      RETURNING *
+    `, [content.trim(), status, req.params.commentId]);
+    
+    if (current.status === 'visible' && status === 'held' && current.parent_id) {
+      await adjustRepliesCount(current.parent_id, -1);
+    }
+    
+    const user = await pool.query('SELECT display_name, avatar_url FROM users WHERE id = $1', [req.userId]);
+    const liked = await pool.query(
+      'SELECT 1 FROM comment_likes WHERE comment_id = $1 AND user_id = $2',
+      [req.params.commentId, req.userId]
+    );
+    
+    res.json(formatComment({
+      ...result.rows[0],
+      author_name: user.rows[0].display_name,
+      author_avatar: user.rows[0].avatar_url,
+      is_liked: liked.rows.length > 0,
+      is_pinned: current.pinned_comment_id === req.params.commentId
+    }));
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// The comment's author and the video's author may delete it; replies go with their comment
+router.delete('/:id/comments/:commentId', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      DELETE FROM comments c
+      USING videos v
+      WHERE c.id = $1 AND c.video_id = $2 AND v.id = c.video_id
+        AND (c.user_id = $3 OR v.author_id = $3)
+      RETURNING c.parent_id, c.status
+    `, [req.params.commentId, req.params.id, req.userId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found or not authorized' });
+    }
+    
+    if (result.rows[0].parent_id && result.rows[0].status === 'visible') {
+      await adjustRepliesCount(result.rows[0].parent_id, -1);
+    }
+    
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/:id/comments/:commentId/like', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    
+    const comment = await pool.query(
+      "SELECT user_id FROM comments WHERE id = $1 AND video_id = $2 AND status = 'visible'",
+      [commentId, req.params.id]
+    );
+    
+    if (comment.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    const blockedUserIds = await getBlockedUserIds(req.userId);
+    if (blockedUserIds.includes(comment.rows[0].user_id)) {
+      return res.status(403).json({ error: 'Cannot like this comment' });
+    }
+    
+    const removed = await pool.query(
+      'DELETE FROM comment_likes WHERE user_id = $1 AND comment_id = $2 RETURNING id',
+      [req.userId, commentId]
+    );
+    
+    if (removed.rows.length > 0) {
+      const result = await pool.query(
+        'UPDATE comments SET likes_count = GREATEST(likes_count - 1, 0) WHERE id = $1 RETURNING likes_count',
+        [commentId]
+      );
+      return res.json({ liked: false, likesCount: result.rows[0].likes_count });
+    }
+    
+    const added = await pool.query(
+      'INSERT INTO comment_likes (user_id, comment_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING id',
+      [req.userId, commentId]
+    );
+    const result = await pool.query(
+      'UPDATE comments SET likes_count = likes_count + $1 WHERE id = $2 RETURNING likes_count',
+      [added.rows.length, commentId]
+    );
+    
+    res.json({ liked: true, likesCount: result.rows[0].likes_count });
+  } catch (error) {
+    console.error('Like comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/:id/comment-settings', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { followersOnly, heldKeywords } = req.body;
+    
+    if (followersOnly !== undefined && typeof followersOnly !== 'boolean') {
+      return res.status(400).json({ error: 'followersOnly must be a boolean' });
+    }
+    
+    let keywords = null;
+    if (heldKeywords !== undefined) {
+      const parsed = parseHeldKeywords(heldKeywords);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      keywords = parsed.keywords;
+    }
+    
+    // Comments already posted keep their status; the new rules apply from now on
+    const result = await pool.query(`
+      UPDATE videos
+      SET comments_followers_only = COALESCE($1, comments_followers_only),
+          held_keywords = COALESCE($2, held_keywords),
+          updated_at = NOW()
+      WHERE id = $3 AND author_id = $4
+      RETURNING comments_enabled, comments_followers_only, held_keywords
+    `, [followersOnly !== undefined ? followersOnly : null, keywords, req.params.id, req.userId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found or not authorized' });
+    }
+    
+    const video = result.rows[0];
+    res.json({
+      commentsEnabled: video.comments_enabled,
+      followersOnly: video.comments_followers_only,
+      heldKeywords: video.held_keywords
+    });
+  } catch (error) {
+    console.error('Update comment settings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// The video author approves held comments (status "visible") or hides comments (status "hidden")
+router.put('/:id/comments/:commentId/status', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    
+    if (status !== 'visible' && status !== 'hidden') {
+      return res.status(400).json({ error: 'Status must be visible or hidden' });
+    }
+    
+    // Joining the row to itself returns its status from before the update
+    const result = await pool.query(`
+      UPDATE comments c
+      SET status = $1
+      FROM comments previous, videos v
+      WHERE c.id = $2 AND c.video_id = $3
+        AND previous.id = c.id AND v.id = c.video_id AND v.author_id = $4
+      RETURNING c.id, c.parent_id, c.status, previous.status as previous_status
+    `, [status, req.params.commentId, req.params.id, req.userId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found or not authorized' });
+    }
+    
+    const comment = result.rows[0];
+    
+    if (comment.parent_id && comment.previous_status !== comment.status) {
+      if (comment.status === 'visible') {
+        await adjustRepliesCount(comment.parent_id, 1);
+      } else if (comment.previous_status === 'visible') {
+        await adjustRepliesCount(comment.parent_id, -1);
+      }
+    }
+    
+    if (status === 'hidden') {
+      await pool.query(
+        'UPDATE videos SET pinned_comment_id = NULL WHERE id = $1 AND pinned_comment_id = $2',
+        [req.params.id, comment.id]
+      );
+    }
+    
+    res.json({ id: comment.id, status: comment.status });
+  } catch (error) {
+    console.error('Update comment status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Pinning replaces any previously pinned comment; only visible top-level comments can be pinned
+router.put('/:id/comments/:commentId/pin', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const video = await pool.query('SELECT id FROM videos WHERE id = $1 AND author_id = $2', [req.params.id, req.userId]);
+    if (video.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found or not authorized' });
+    }
+    
+    const comment = await pool.query(
+      "SELECT id FROM comments WHERE id = $1 AND video_id = $2 AND parent_id IS NULL AND status = 'visible'",
+      [req.params.commentId, req.params.id]
+    );
+    if (comment.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    await pool.query('UPDATE videos SET pinned_comment_id = $1 WHERE id = $2', [req.params.commentId, req.params.id]);
+    
+    res.json({ pinnedCommentId: req.params.commentId });
+  } catch (error) {
+    console.error('Pin comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/:id/comments/:commentId/pin', authMiddleware, requireScope('videos:write'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE videos SET pinned_comment_id = NULL
+      WHERE id = $1 AND author_id = $2 AND pinned_comment_id = $3
+      RETURNING id
+    `, [req.params.id, req.userId, req.params.commentId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pinned comment not found or not authorized' });
+    }
+    
+    res.json({ pinnedCommentId: null });
+  } catch (error) {
+    console.error('Unpin comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/:id/report', authMiddleware, requireScope('videos:write'), async (req, res) => {
   try {
     const { reason, description } = req.body;
     
@@ -477,52 +1728,57 @@ router.post('/:id/report', authMiddleware, async (req, res) => {
   }
 });
 
-// Award XP for watching a video
-// In-memory cache for video watch XP cooldowns (user_id:video_id -> timestamp)
-const videoWatchCooldowns = new Map();
-const VIDEO_WATCH_XP_COOLDOWN_MS = 5 * 60 * 1000; // 5 minutes
-
-router.post('/:id/watch', authMiddleware, async (req, res) => {
+// Record a watch (history, view count) and award XP, rate limited per user and video
+router.post('/:id/watch', authMiddleware, requireScope('videos:write'), async (req, res) => {
   try {
     const videoId = req.params.id;
     const userId = req.userId;
     
-    // Verify the video exists
+    let watchedSeconds = null;
+    if (req.body.watchedSeconds !== undefined && req.body.watchedSeconds !== null) {
+      watchedSeconds = Number(req.body.watchedSeconds);
+      if (!Number.isFinite(watchedSeconds) || watchedSeconds < 0) {
+        return res.status(400).json({ error: 'watchedSeconds must be a non-negative number' });
+      }
+    }
+    
+    // Verify the video exists and the user can see it
     const videoResult = await pool.query(
-      'SELECT id FROM videos WHERE id = $1',
+      'SELECT id, author_id, duration, processing_status, visibility FROM videos WHERE id = $1',
       [videoId]
     );
     
-    if (videoResult.rows.length === 0) {
+    if (videoResult.rows.length === 0 || !isVisibleTo(videoResult.rows[0], userId)) {
       return res.status(404).json({ error: 'Video not found' });
     }
     
-    // Check cooldown for this user+video combination
-    const cooldownKey = `${userId}:${videoId}`;
-    const lastWatchTime = videoWatchCooldowns.get(cooldownKey);
-    const now = Date.now();
+    const video = videoResult.rows[0];
+    if (watchedSeconds !== null && video.duration) {
+      watchedSeconds = Math.min(watchedSeconds, video.duration);
+    }
+    
+    const { counted, completionRatio } = await recordWatch(userId, video, watchedSeconds);
     
-    if (lastWatchTime && (now - lastWatchTime) < VIDEO_WATCH_XP_COOLDOWN_MS) {
+    if (!counted) {
       // Cooldown active - no XP awarded but still count as successful watch
       console.log(`[Video Watch] XP cooldown active for user ${userId} on video ${videoId}`);
-      return res.json({ success: true, xpAwarded: 0 });
+      return res.json({ success: true, xpAwarded: 0, completionRatio });
     }
     
-    // Award XP and update cooldown
     const xpResult = await awardXp(userId, 'video_watch');
     
     if (xpResult.success) {
-      videoWatchCooldowns.set(cooldownKey, now);
       res.json({ 
         success: true, 
         xpAwarded: xpResult.xpAwarded,
         totalXp: xpResult.xp,
-        level: xpResult.level
+        level: xpResult.level,
+        completionRatio
       });
     } else {
       // XP award failed but video watch was successful
       console.log('[Video Watch] XP award failed:', xpResult.error);
-      res.json({ success: true, xpAwarded: 0 });
+      res.json({ success: true, xpAwarded: 0, completionRatio });
     }
   } catch (error) {
     console.error('Video watch error:', error);
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for an OIDC provider (Google / Apple) for development and testing.
+ * It generates a throwaway RSA key, serves it as a JWKS and mints ID tokens.
+ *
+ * USAGE:
+ *   node server/scripts/oidc-dev-issuer.js            (port 4010, or OIDC_DEV_PORT)
+ *
+ * Then start the backend with, e.g. for Google:
+ *   OIDC_GOOGLE_JWKS_URL=http://localhost:4010/jwks.json
+ *   OIDC_GOOGLE_ISSUER=http://localhost:4010
+ *   OIDC_GOOGLE_CLIENT_IDS=quickfix-dev
+ *
+ * and get a token to send to POST /api/auth/oauth/google as { idToken }:
+ *   curl 'http://localhost:4010/token?sub=123&email=me@example.com'
+ *
+ * Query params for /token: sub, email, email_verified (default true), name, aud, nonce.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.OIDC_DEV_PORT) || 4010;
+const ISSUER = process.env.OIDC_DEV_ISSUER || `http://localhost:${PORT}`;
+const DEFAULT_AUDIENCE = 'quickfix-dev';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] };
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  if (url.pathname === '/jwks.json') {
+    return sendJson(res, 200, jwks);
+  }
+
+  if (url.pathname === '/token') {
+    const params = url.searchParams;
+    const claims = {
+      sub: params.get('sub') || crypto.randomUUID(),
+      email: params.get('email') || undefined,
+      email_verified: params.get('email_verified') !== 'false',
+      name: params.get('name') || undefined,
+      nonce: params.get('nonce') || undefined
+    };
+
+    const idToken = jwt.sign(claims, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: ISSUER,
+      audience: params.get('aud') || DEFAULT_AUDIENCE,
+      expiresIn: '10m'
+    });
+
+    return sendJson(res, 200, { idToken, claims });
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`[OIDC-DEV] Issuer ${ISSUER} listening on port ${PORT}`);
+  console.log(`[OIDC-DEV] JWKS:  ${ISSUER}/jwks.json`);
+  console.log(`[OIDC-DEV] Token: ${ISSUER}/token?sub=123&email=me@example.com`);
+  console.log(`[OIDC-DEV] Backend env: OIDC_GOOGLE_JWKS_URL=${ISSUER}/jwks.json OIDC_GOOGLE_ISSUER=${ISSUER} OIDC_GOOGLE_CLIENT_IDS=${DEFAULT_AUDIENCE}`);
+});
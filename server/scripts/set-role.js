@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Set the role of an existing user (used to bootstrap the first admin).
+ *
+ * USAGE:
+ *   npm run set-role -- <email> [role]
+ *   node server/scripts/set-role.js admin@example.com admin
+ *
+ * role is one of: user, moderator, admin (default: admin).
+ * Requires DATABASE_URL, like the server itself.
+ */
+
+const { pool, initializeDatabase } = require('../db');
+const { ROLES } = require('../middleware/auth');
+
+async function main() {
+  const [email, role = 'admin'] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: node server/scripts/set-role.js <email> [user|moderator|admin]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`Invalid role "${role}". Must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  await initializeDatabase();
+
+  const result = await pool.query(
+    'UPDATE users SET role = $1, updated_at = NOW() WHERE email = $2 RETURNING id, display_name',
+    [role, email.toLowerCase()]
+  );
+
+  if (result.rows.length === 0) {
+    console.error(`No user found with email ${email}. Register the account first.`);
+    process.exit(1);
+  }
+
+  console.log(`[ROLE] ${result.rows[0].display_name} (${result.rows[0].id}) is now ${role}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Failed to set role:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
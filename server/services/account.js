@@ -0,0 +1,256 @@
+const { pool } = require('../db');
+const storage = require('./storage');
+
+/**
+ * Collect everything we store about a user into a JSON-serializable archive
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} - Archive, or null if the user does not exist
+ */
+async function exportUserData(userId) {
+  const profileResult = await pool.query(`
+    SELECT id, email, email_verified, display_name, bio, avatar_url, expertise_categories,
+           followers_count, following_count, xp, level, blocked_user_ids, created_at, updated_at
+    FROM users WHERE id = $1
+  `, [userId]);
+
+  if (profileResult.rows.length === 0) {
+    return null;
+  }
+
+  const [
+    videos,
+    comments,
+    videoLikes,
+    communityPosts,
+    communityComments,
+    toolboxFolders,
+    toolboxSaves,
+    following,
+    followers,
+    notifications,
+    xpHistory,
+    dailyLogins,
+    reports,
+    sessions,
+    identities,
+    accessTokens,
+    watchHistory,
+    watchEvents
+  ] = await Promise.all([
+    pool.query(`
+      SELECT id, title, description, category, tags, video_url, thumbnail_url, duration,
+             likes_count, views_count, comments_enabled, is_flagged, created_at, updated_at,
+             (SELECT COALESCE(json_agg(json_build_object('startSeconds', c.start_seconds, 'title', c.title, 'safetyNote', c.safety_note)
+                                       ORDER BY c.position), '[]')
+              FROM video_chapters c WHERE c.video_id = videos.id) as chapters,
+             (SELECT COALESCE(json_agg(json_build_object('kind', m.kind, 'name', m.name, 'quantity', m.quantity,
+                                                         'spec', m.spec, 'optional', m.is_optional)
+                                       ORDER BY m.position), '[]')
+              FROM video_materials m WHERE m.video_id = videos.id) as materials
+      FROM videos WHERE author_id = $1 ORDER BY created_at
+    `, [userId]),
+    pool.query('SELECT id, video_id, parent_id, content, status, edited_at, created_at FROM comments WHERE user_id = $1 ORDER BY created_at', [userId]),
+    pool.query('SELECT video_id, created_at FROM video_likes WHERE user_id = $1 ORDER BY created_at', [userId]),
+    pool.query(`
+      SELECT id, title, description, category, image_url, status, comments_count, created_at, updated_at
+      FROM community_posts WHERE author_id = $1 ORDER BY created_at
+    `, [userId]),
+    pool.query(`
+      SELECT id, post_id, content, linked_video_id, is_solution, created_at
+      FROM community_comments WHERE user_id = $1 ORDER BY created_at
+    `, [userId]),
+    pool.query('SELECT id, name, created_at, updated_at FROM toolbox_folders WHERE user_id = $1 ORDER BY created_at', [userId]),
+    pool.query('SELECT video_id, folder_id, created_at FROM video_saves WHERE user_id = $1 ORDER BY created_at', [userId]),
+    pool.query('SELECT following_id as user_id, created_at FROM follows WHERE follower_id = $1 ORDER BY created_at', [userId]),
+    pool.query('SELECT follower_id as user_id, created_at FROM follows WHERE following_id = $1 ORDER BY created_at', [userId]),
+    pool.query(`
+      SELECT id, type, title, message, related_user_id, related_video_id, is_read, created_at
+      FROM notifications WHERE user_id = $1 ORDER BY created_at
+    `, [userId]),
+    pool.query('SELECT action_type, amount, xp_after, level_after, created_at FROM xp_events WHERE user_id = $1 ORDER BY created_at', [userId]),
+    pool.query('SELECT login_date FROM xp_daily_logins WHERE user_id = $1 ORDER BY login_date', [userId]),
+    pool.query(`
+      SELECT id, target_user_id, content_id, content_type, reason, message, status, created_at
+      FROM reports WHERE reporter_user_id = $1 ORDER BY created_at
+    `, [userId]),
+    pool.query('SELECT id, device_name, platform, ip, created_at, last_used_at, expires_at, revoked_at FROM sessions WHERE user_id = $1 ORDER BY created_at', [userId]),
+    pool.query('SELECT provider, email, created_at FROM user_identities WHERE user_id = $1 ORDER BY created_at', [userId]),
+    pool.query('SELECT name, token_prefix, scopes, last_used_at, expires_at, revoked_at, created_at FROM personal_access_tokens WHERE user_id = $1 ORDER BY created_at', [userId]),
+    pool.query('SELECT video_id, watch_count, max_completion_ratio, first_watched_at, last_watched_at FROM video_watches WHERE user_id = $1 ORDER BY first_watched_at', [userId]),
+    pool.query('SELECT video_id, watched_seconds, completion_ratio, created_at FROM video_watch_events WHERE user_id = $1 ORDER BY created_at', [userId])
+  ]);
+
+  const profile = profileResult.rows[0];
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: profile.id,
+      email: profile.email,
+      emailVerified: profile.email_verified,
+      displayName: profile.display_name,
+      bio: profile.bio,
+      avatarUrl: profile.avatar_url,
+      expertiseCategories: profile.expertise_categories,
+      followersCount: profile.followers_count,
+      followingCount: profile.following_count,
+      xp: profile.xp,
+      level: profile.level,
+      blockedUserIds: profile.blocked_user_ids || [],
+      createdAt: profile.created_at,
+      updatedAt: profile.updated_at
+    },
+    videos: videos.rows,
+    comments: comments.rows,
+    videoLikes: videoLikes.rows,
+    communityPosts: communityPosts.rows,
+    communityComments: communityComments.rows,
+    toolbox: {
+      folders: toolboxFolders.rows,
+      saves: toolboxSaves.rows
+    },
+    following: following.rows,
+    followers: followers.rows,
+    notifications: notifications.rows,
+    xpHistory: {
+      events: xpHistory.rows,
+      dailyLogins: dailyLogins.rows.map(row => row.login_date)
+    },
+    reports: reports.rows,
+    sessions: sessions.rows,
+    identities: identities.rows,
+    accessTokens: accessTokens.rows,
+    watchHistory: {
+      videos: watchHistory.rows,
+      events: watchEvents.rows
+    }
+  };
+}
+
+// Keeps the denormalized counters of other users/videos/posts correct before rows disappear
+async function releaseCounters(client, userId, { includeContent }) {
+  await client.query(`
+    UPDATE users SET followers_count = GREATEST(followers_count - 1, 0)
+    WHERE id IN (SELECT following_id FROM follows WHERE follower_id = $1)
+  `, [userId]);
+  await client.query(`
+    UPDATE users SET following_count = GREATEST(following_count - 1, 0)
+    WHERE id IN (SELECT follower_id FROM follows WHERE following_id = $1)
+  `, [userId]);
+  await client.query('DELETE FROM follows WHERE follower_id = $1 OR following_id = $1', [userId]);
+
+  if (includeContent) {
+    await client.query(`
+      UPDATE videos SET likes_count = GREATEST(likes_count - 1, 0)
+      WHERE id IN (SELECT video_id FROM video_likes WHERE user_id = $1)
+    `, [userId]);
+    await client.query(`
+      UPDATE comments SET likes_count = GREATEST(likes_count - 1, 0)
+      WHERE id IN (SELECT comment_id FROM comment_likes WHERE user_id = $1)
+    `, [userId]);
+    await client.query(`
+      UPDATE comments p SET replies_count = GREATEST(p.replies_count - r.count, 0)
+      FROM (
+        SELECT parent_id, COUNT(*)::INTEGER as count FROM comments
+        WHERE user_id = $1 AND parent_id IS NOT NULL GROUP BY parent_id
+      ) r
+      WHERE p.id = r.parent_id
+    `, [userId]);
+    await client.query(`
+      UPDATE community_posts cp SET comments_count = GREATEST(cp.comments_count - c.count, 0)
+      FROM (
+        SELECT post_id, COUNT(*)::INTEGER as count FROM community_comments
+        WHERE user_id = $1 GROUP BY post_id
+      ) c
+      WHERE cp.id = c.post_id
+    `, [userId]);
+  }
+}
+
+/**
+ * Delete a user's account.
+ * - 'delete' removes the user row; their videos, comments, posts, likes, saves
+ *   and everything else cascade with it. The uploaded video files and generated
+ *   thumbnails are removed from storage once the deletion has committed.
+ * - 'anonymize' keeps public content (videos, comments, posts) under a
+ *   "Deleted user" placeholder and removes all personal data. The videos stay
+ *   published, so their files stay in storage with them.
+ * Either way every session is gone afterwards, so all tokens stop working.
+ * @param {string} userId - User ID
+ * @param {'delete'|'anonymize'} mode - Deletion mode
+ */
+async function deleteAccount(userId, mode = 'delete') {
+  const client = await pool.connect();
+  let uploadedVideos = [];
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query('SELECT email FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const email = userResult.rows[0]?.email;
+
+    await client.query('DELETE FROM login_attempts WHERE user_id = $1 OR email = $2', [userId, email]);
+    await client.query('UPDATE users SET blocked_user_ids = array_remove(blocked_user_ids, $1) WHERE $1 = ANY(blocked_user_ids)', [userId]);
+
+    if (mode === 'anonymize') {
+      await releaseCounters(client, userId, { includeContent: false });
+
+      await client.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_identities WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM personal_access_tokens WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM video_saves WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM toolbox_folders WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM notifications WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM xp_events WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM video_watches WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM video_watch_events WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM video_watch_cooldowns WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM xp_daily_logins WHERE user_id = $1', [userId]);
+
+      // '!' is not a valid bcrypt hash, so no password can ever match it
+      await client.query(`
+        UPDATE users
+        SET email = 'deleted-' || id || '@deleted.invalid',
+            password_hash = '!',
+            display_name = 'Deleted user',
+            bio = NULL,
+            avatar_url = NULL,
+            expertise_categories = '{}',
+            blocked_user_ids = '{}',
+            followers_count = 0,
+            following_count = 0,
+            email_verified = false,
+            totp_enabled = false,
+            totp_secret = NULL,
+            deleted_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $1
+      `, [userId]);
+    } else {
+      await releaseCounters(client, userId, { includeContent: true });
+      const videosResult = await client.query('SELECT id, storage_key FROM videos WHERE author_id = $1', [userId]);
+      uploadedVideos = videosResult.rows;
+      await client.query('DELETE FROM users WHERE id = $1', [userId]);
+    }
+
+    await client.query('COMMIT');
+    console.log(`[ACCOUNT] Account ${userId} deleted (mode: ${mode})`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Only files the server stored for these rows, as in DELETE /api/videos/:id
+  for (const video of uploadedVideos) {
+    if (video.storage_key) {
+      await storage.deleteFile(video.storage_key);
+    }
+    await storage.deleteFile(`thumbnails/${video.id}.jpg`);
+  }
+}
+
+module.exports = { exportUserData, deleteAccount };
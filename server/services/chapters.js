@@ -0,0 +1,146 @@
+const { pool } = require('../db');
+
+// Limits match the video_chapters columns
+const MAX_CHAPTERS = 50;
+const MAX_TITLE_LENGTH = 80;
+const MAX_SAFETY_NOTE_LENGTH = 300;
+
+/**
+ * Validate a chapter list as sent by a client
+ * @param {*} input - Expected: [{startSeconds, title, safetyNote?}], ordered by startSeconds
+ * @param {number|null} duration - Video length in seconds, if known
+ * @returns {{chapters: {startSeconds: number, title: string, safetyNote: string|null}[]}|{error: string}}
+ */
+function parseChapters(input, duration) {
+  if (!Array.isArray(input)) {
+    return { error: 'Chapters must be an array' };
+  }
+  if (input.length > MAX_CHAPTERS) {
+    return { error: `A video can have at most ${MAX_CHAPTERS} chapters` };
+  }
+
+  const chapters = [];
+  for (const [index, chapter] of input.entries()) {
+    const step = `Chapter ${index + 1}`;
+    if (!chapter || typeof chapter !== 'object') {
+      return { error: `${step} is invalid` };
+    }
+
+    const { startSeconds, title, safetyNote } = chapter;
+    if (!Number.isInteger(startSeconds) || startSeconds < 0) {
+      return { error: `${step}: startSeconds must be a whole number of seconds` };
+    }
+    if (duration && startSeconds >= duration) {
+      return { error: `${step} starts after the end of the video` };
+    }
+    if (chapters.length > 0 && startSeconds <= chapters[chapters.length - 1].startSeconds) {
+      return { error: `${step} must start after the previous chapter` };
+    }
+    if (typeof title !== 'string' || !title.trim()) {
+      return { error: `${step} needs a title` };
+    }
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+      return { error: `${step}: title cannot exceed ${MAX_TITLE_LENGTH} characters` };
+    }
+    if (safetyNote !== undefined && safetyNote !== null && typeof safetyNote !== 'string') {
+      return { error: `${step}: safetyNote must be text` };
+    }
+    if (safetyNote && safetyNote.trim().length > MAX_SAFETY_NOTE_LENGTH) {
+      return { error: `${step}: safetyNote cannot exceed ${MAX_SAFETY_NOTE_LENGTH} characters` };
+    }
+
+    chapters.push({
+      startSeconds,
+      title: title.trim(),
+      safetyNote: safetyNote && safetyNote.trim() ? safetyNote.trim() : null
+    });
+  }
+
+  return { chapters };
+}
+
+/**
+ * Replace all chapters of a video and refresh the text the search trigger indexes
+ * @param {string} videoId - Video ID
+ * @param {{startSeconds: number, title: string, safetyNote: string|null}[]} chapters - From parseChapters
+ * @returns {Promise<object[]>} - Stored chapter rows, in order
+ */
+async function setChapters(videoId, chapters) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM video_chapters WHERE video_id = $1', [videoId]);
+
+    const result = await client.query(`
+      INSERT INTO video_chapters (video_id, position, start_seconds, title, safety_note)
+      SELECT $1, c.position - 1, c.start_seconds, c.title, c.safety_note
+      FROM unnest($2::int[], $3::text[], $4::text[]) WITH ORDINALITY AS c(start_seconds, title, safety_note, position)
+      RETURNING *
+    `, [
+      videoId,
+      chapters.map(chapter => chapter.startSeconds),
+      chapters.map(chapter => chapter.title),
+      chapters.map(chapter => chapter.safetyNote)
+    ]);
+
+    const chaptersText = chapters
+      .map(chapter => [chapter.title, chapter.safetyNote].filter(Boolean).join(' '))
+      .join('\n');
+    await client.query(
+      'UPDATE videos SET chapters_text = $1, updated_at = NOW() WHERE id = $2',
+      [chaptersText || null, videoId]
+    );
+
+    await client.query('COMMIT');
+    return result.rows.sort((a, b) => a.position - b.position);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Chapters of a video, in order
+ * @param {string} videoId - Video ID
+ * @returns {Promise<object[]>} - Chapter rows
+ */
+async function getChapters(videoId) {
+  const result = await pool.query(
+    'SELECT * FROM video_chapters WHERE video_id = $1 ORDER BY position',
+    [videoId]
+  );
+  return result.rows;
+}
+
+/**
+ * SQL select item listing the chapters of v whose title or safety note match a search,
+ * so results can link straight to the step
+ * @param {string} searchQuery - tsquery SQL from tsQuerySql
+ * @returns {string} - Expression yielding a JSON array (or null when no chapter matches)
+ */
+function matchingChaptersSql(searchQuery) {
+  return `(
+    SELECT json_agg(json_build_object('position', c.position, 'startSeconds', c.start_seconds, 'title', c.title) ORDER BY c.position)
+    FROM video_chapters c
+    WHERE c.video_id = v.id
+      AND to_tsvector(v.search_language::regconfig, c.title || ' ' || COALESCE(c.safety_note, '')) @@ ${searchQuery}
+  )`;
+}
+
+const formatChapter = (row) => ({
+  position: row.position,
+  startSeconds: row.start_seconds,
+  title: row.title,
+  safetyNote: row.safety_note
+});
+
+module.exports = {
+  MAX_CHAPTERS,
+  parseChapters,
+  setChapters,
+  getChapters,
+  matchingChaptersSql,
+  formatChapter
+};
@@ -0,0 +1,51 @@
+// Creator-side comment rules for a video.
+// A comment is 'visible' to everyone, 'held' until the video author approves it, or
+// 'hidden' by the video author. Held and hidden comments stay visible to the person
+// who wrote them, so they can see what happened to their comment.
+const COMMENT_STATUSES = ['visible', 'held', 'hidden'];
+
+const MAX_HELD_KEYWORDS = 50;
+const MAX_KEYWORD_LENGTH = 50;
+
+/**
+ * Validate the keyword list that holds comments for approval
+ * @param {*} input - Expected: array of strings
+ * @returns {{keywords: string[]}|{error: string}} - Trimmed, lower-cased and de-duplicated
+ */
+function parseHeldKeywords(input) {
+  if (!Array.isArray(input) || !input.every(keyword => typeof keyword === 'string')) {
+    return { error: 'heldKeywords must be an array of strings' };
+  }
+
+  const keywords = [...new Set(input.map(keyword => keyword.trim().toLowerCase()).filter(Boolean))];
+  if (keywords.length > MAX_HELD_KEYWORDS) {
+    return { error: `At most ${MAX_HELD_KEYWORDS} keywords can be held` };
+  }
+  if (keywords.some(keyword => keyword.length > MAX_KEYWORD_LENGTH)) {
+    return { error: `Keywords cannot exceed ${MAX_KEYWORD_LENGTH} characters` };
+  }
+
+  return { keywords };
+}
+
+/**
+ * Status a new or edited comment gets under the video's rules
+ * @param {string} content - Comment text
+ * @param {{author_id: string, held_keywords: string[]|null}} video - Commented video
+ * @param {string} userId - Commenter
+ * @returns {'visible'|'held'}
+ */
+function getCommentStatus(content, video, userId) {
+  if (userId === video.author_id) {
+    return 'visible';
+  }
+  const text = content.toLowerCase();
+  const held = (video.held_keywords || []).some(keyword => text.includes(keyword));
+  return held ? 'held' : 'visible';
+}
+
+module.exports = {
+  COMMENT_STATUSES,
+  parseHeldKeywords,
+  getCommentStatus
+};
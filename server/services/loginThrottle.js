@@ -0,0 +1,215 @@
+const { pool } = require('../db');
+
+// Failures are counted inside a sliding window (reset by a successful login)
+const ATTEMPT_WINDOW_MINUTES = 15;
+
+// Per account: free attempts, then an exponentially growing wait, then a lockout
+const ACCOUNT_FREE_ATTEMPTS = 3;
+const ACCOUNT_LOCKOUT_THRESHOLD = 10;
+const ACCOUNT_LOCKOUT_MINUTES = 15;
+const MAX_DELAY_SECONDS = 60;
+
+// Per IP: allows for shared networks, but stops spraying across many accounts
+const IP_LOCKOUT_THRESHOLD = 50;
+const IP_LOCKOUT_MINUTES = 15;
+
+/**
+ * Wait required after the Nth consecutive failure
+ * @param {number} failures - Number of failures in the window
+ * @returns {number} - Seconds to wait before the next attempt is accepted
+ */
+function getDelaySeconds(failures) {
+  if (failures < ACCOUNT_FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(Math.pow(2, failures - ACCOUNT_FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Count failures for an email and an IP since their last success in the window
+ * @returns {Promise<{emailFailures: number, emailLastFailure: Date|null, ipFailures: number, ipLastFailure: Date|null}>}
+ */
+async function getFailureStats(email, ip, db = pool) {
+  const emailResult = await db.query(`
+    SELECT COUNT(*) as failures, MAX(created_at) as last_failure
+    FROM login_attempts
+    WHERE email = $1 AND success = false
+      AND created_at > NOW() - $2 * INTERVAL '1 minute'
+      AND created_at > COALESCE(
+        (SELECT MAX(created_at) FROM login_attempts WHERE email = $1 AND success = true),
+        '-infinity'
+      )
+  `, [email, ATTEMPT_WINDOW_MINUTES]);
+  const ipResult = await db.query(`
+    SELECT COUNT(*) as failures, MAX(created_at) as last_failure
+    FROM login_attempts
+    WHERE ip = $1 AND success = false
+      AND created_at > NOW() - $2 * INTERVAL '1 minute'
+  `, [ip, IP_LOCKOUT_MINUTES]);
+
+  return {
+    emailFailures: parseInt(emailResult.rows[0].failures),
+    emailLastFailure: emailResult.rows[0].last_failure,
+    ipFailures: parseInt(ipResult.rows[0].failures),
+    ipLastFailure: ipResult.rows[0].last_failure
+  };
+}
+
+/**
+ * Decide from the failure stats whether another attempt may proceed
+ * @returns {{allowed: boolean, retryAfterSeconds?: number, locked?: boolean}}
+ */
+function evaluateThrottle(stats) {
+  const now = Date.now();
+
+  if (stats.ipFailures >= IP_LOCKOUT_THRESHOLD) {
+    const unlockAt = new Date(stats.ipLastFailure).getTime() + IP_LOCKOUT_MINUTES * 60 * 1000;
+    if (unlockAt > now) {
+      return { allowed: false, locked: true, retryAfterSeconds: Math.ceil((unlockAt - now) / 1000) };
+    }
+  }
+
+  if (stats.emailFailures >= ACCOUNT_LOCKOUT_THRESHOLD) {
+    const unlockAt = new Date(stats.emailLastFailure).getTime() + ACCOUNT_LOCKOUT_MINUTES * 60 * 1000;
+    if (unlockAt > now) {
+      return { allowed: false, locked: true, retryAfterSeconds: Math.ceil((unlockAt - now) / 1000) };
+    }
+  }
+
+  const delaySeconds = getDelaySeconds(stats.emailFailures);
+  if (delaySeconds > 0 && stats.emailLastFailure) {
+    const nextAllowedAt = new Date(stats.emailLastFailure).getTime() + delaySeconds * 1000;
+    if (nextAllowedAt > now) {
+      return { allowed: false, locked: false, retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000) };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Start a login attempt. Works purely on the submitted email, so the answer
+ * is the same whether or not the account exists.
+ *
+ * An allowed attempt is recorded as a failure straight away, under per-email
+ * and per-IP advisory locks, so parallel requests each see the ones before
+ * them and can't slip past the delay or the lockout. The caller settles it
+ * with recordLoginSuccess, recordLoginFailure or discardLoginAttempt.
+ * @param {string} email - Normalized email
+ * @param {string} ip - Client IP
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds?: number, locked?: boolean, attempt?: {id: string, email: string, previousFailures: number}}>}
+ */
+async function beginLoginAttempt(email, ip) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Always email first, then IP, so two attempts can't wait on each other
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('login:email:' || $1))", [email]);
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('login:ip:' || $1))", [ip || '']);
+
+    const stats = await getFailureStats(email, ip, client);
+    const throttle = evaluateThrottle(stats);
+
+    if (!throttle.allowed) {
+      await client.query('COMMIT');
+      return throttle;
+    }
+
+    const result = await client.query(
+      'INSERT INTO login_attempts (email, ip, success) VALUES ($1, $2, false) RETURNING id',
+      [email, ip]
+    );
+    await client.query('COMMIT');
+
+    return {
+      allowed: true,
+      attempt: { id: result.rows[0].id, email, previousFailures: stats.emailFailures }
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Settle an attempt as failed. When this failure is the one that takes the
+ * account over the lockout threshold, the owner (if the email belongs to a
+ * user) gets a security notification.
+ * @param {Object} attempt - Attempt returned by beginLoginAttempt
+ * @param {string|null} userId - User the email belongs to, if any
+ * @returns {Promise<{locked: boolean}>}
+ */
+async function recordLoginFailure(attempt, userId) {
+  await pool.query(
+    'UPDATE login_attempts SET user_id = $2 WHERE id = $1',
+    [attempt.id, userId || null]
+  );
+
+  const failures = attempt.previousFailures + 1;
+  const locked = attempt.previousFailures < ACCOUNT_LOCKOUT_THRESHOLD && failures >= ACCOUNT_LOCKOUT_THRESHOLD;
+
+  if (locked) {
+    console.log(`[LOGIN] Account ${attempt.email} locked for ${ACCOUNT_LOCKOUT_MINUTES} minutes after ${failures} failed attempts`);
+
+    if (userId) {
+      await pool.query(`
+        INSERT INTO notifications (user_id, type, title, message)
+        VALUES ($1, 'security', $2, $3)
+      `, [
+        userId,
+        'Sign-in temporarily locked',
+        `We blocked sign-ins to your account for ${ACCOUNT_LOCKOUT_MINUTES} minutes after ${failures} failed password attempts. If this wasn't you, consider changing your password.`
+      ]);
+    }
+  }
+
+  return { locked };
+}
+
+/**
+ * Settle an attempt as successful, which resets the account's failure count
+ * @param {Object} attempt - Attempt returned by beginLoginAttempt
+ * @param {string} userId - User ID
+ */
+async function recordLoginSuccess(attempt, userId) {
+  await pool.query(
+    'UPDATE login_attempts SET success = true, user_id = $2 WHERE id = $1',
+    [attempt.id, userId]
+  );
+}
+
+/**
+ * Drop an attempt that counts neither way, e.g. a correct password that
+ * still has to be followed by a 2FA code
+ * @param {Object} attempt - Attempt returned by beginLoginAttempt
+ */
+async function discardLoginAttempt(attempt) {
+  await pool.query('DELETE FROM login_attempts WHERE id = $1', [attempt.id]);
+}
+
+/**
+ * Delete attempts that no longer affect any window
+ */
+async function pruneLoginAttempts() {
+  try {
+    const result = await pool.query(
+      "DELETE FROM login_attempts WHERE created_at < NOW() - INTERVAL '1 day'"
+    );
+    if (result.rowCount > 0) {
+      console.log(`[LOGIN] Pruned ${result.rowCount} old login attempts`);
+    }
+  } catch (error) {
+    console.error('[LOGIN] Error pruning login attempts:', error);
+  }
+}
+
+module.exports = {
+  getDelaySeconds,
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  discardLoginAttempt,
+  pruneLoginAttempts
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Transport is picked with MAIL_TRANSPORT: 'file' (default), 'console' or 'smtp'
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'file').toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || 'QuickFix <no-reply@quickfix.app>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'quickfix-mail');
+
+// Base URL used when building links in emails (reset password, verify email, ...)
+const APP_URL = (process.env.APP_URL || 'http://localhost:8081').replace(/\/$/, '');
+
+/**
+ * Console transport - prints every message to stdout (local development)
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`[MAIL] To: ${message.to}\n[MAIL] Subject: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+/**
+ * File transport - writes every message as JSON into MAIL_OUTBOX_DIR (local development)
+ */
+function createFileTransport(outboxDir = MAIL_OUTBOX_DIR) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      const filePath = path.join(outboxDir, `${messageId}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify({ ...message, messageId, sentAt: new Date().toISOString() }, null, 2));
+      console.log(`[MAIL] Wrote "${message.subject}" for ${message.to} to ${filePath}`);
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * SMTP transport - delivers through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (production)
+ */
+function createSmtpTransport() {
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createTransport(name = MAIL_TRANSPORT) {
+  switch (name) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+      }
+      return createSmtpTransport();
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+    default:
+      return createFileTransport();
+  }
+}
+
+let transport = null;
+
+/**
+ * Replace the active transport (e.g. to capture mail in a script)
+ * @param {{name: string, send: Function}} customTransport - Transport implementing send(message)
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {{to: string, subject: string, text: string, html?: string}} message - Message to send
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+async function sendMail(message) {
+  try {
+    if (!transport) {
+      transport = createTransport();
+    }
+
+    const result = await transport.send({ from: MAIL_FROM, ...message });
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('[MAIL] Error sending mail:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  APP_URL,
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createTransport,
+  setTransport,
+  sendMail
+};
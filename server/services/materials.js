@@ -0,0 +1,172 @@
+const { pool } = require('../db');
+
+// Tools are reused between jobs, parts are used up. Limits match the video_materials columns.
+const MATERIAL_KINDS = ['tool', 'part'];
+const MAX_MATERIALS = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_SPEC_LENGTH = 100;
+
+/**
+ * Validate a tools and parts list as sent by a client
+ * @param {*} input - Expected: [{kind, name, quantity?, spec?, optional?}]
+ * @returns {{materials: {kind: string, name: string, quantity: number, spec: string|null, optional: boolean}[]}|{error: string}}
+ */
+function parseMaterials(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Materials must be an array' };
+  }
+  if (input.length > MAX_MATERIALS) {
+    return { error: `A video can list at most ${MAX_MATERIALS} tools and parts` };
+  }
+
+  const materials = [];
+  for (const [index, item] of input.entries()) {
+    const label = `Item ${index + 1}`;
+    if (!item || typeof item !== 'object') {
+      return { error: `${label} is invalid` };
+    }
+
+    const { kind, name, quantity = 1, spec, optional = false } = item;
+    if (!MATERIAL_KINDS.includes(kind)) {
+      return { error: `${label}: kind must be one of: ${MATERIAL_KINDS.join(', ')}` };
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: `${label} needs a name` };
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `${label}: name cannot exceed ${MAX_NAME_LENGTH} characters` };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: `${label}: quantity must be a positive whole number` };
+    }
+    if (spec !== undefined && spec !== null && typeof spec !== 'string') {
+      return { error: `${label}: spec must be text` };
+    }
+    if (spec && spec.trim().length > MAX_SPEC_LENGTH) {
+      return { error: `${label}: spec cannot exceed ${MAX_SPEC_LENGTH} characters` };
+    }
+    if (typeof optional !== 'boolean') {
+      return { error: `${label}: optional must be a boolean` };
+    }
+
+    materials.push({
+      kind,
+      name: name.trim(),
+      quantity,
+      spec: spec && spec.trim() ? spec.trim() : null,
+      optional
+    });
+  }
+
+  return { materials };
+}
+
+/**
+ * Replace the tools and parts list of a video
+ * @param {string} videoId - Video ID
+ * @param {object[]} materials - From parseMaterials
+ * @returns {Promise<object[]>} - Stored rows, in order
+ */
+async function setMaterials(videoId, materials) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM video_materials WHERE video_id = $1', [videoId]);
+
+    const result = await client.query(`
+      INSERT INTO video_materials (video_id, position, kind, name, quantity, spec, is_optional)
+      SELECT $1, m.position - 1, m.kind, m.name, m.quantity, m.spec, m.is_optional
+      FROM unnest($2::text[], $3::text[], $4::int[], $5::text[], $6::boolean[])
+        WITH ORDINALITY AS m(kind, name, quantity, spec, is_optional, position)
+      RETURNING *
+    `, [
+      videoId,
+      materials.map(item => item.kind),
+      materials.map(item => item.name),
+      materials.map(item => item.quantity),
+      materials.map(item => item.spec),
+      materials.map(item => item.optional)
+    ]);
+
+    await client.query('UPDATE videos SET updated_at = NOW() WHERE id = $1', [videoId]);
+
+    await client.query('COMMIT');
+    return result.rows.sort((a, b) => a.position - b.position);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Tools and parts list of a video, in order
+ * @param {string} videoId - Video ID
+ * @returns {Promise<object[]>} - Material rows
+ */
+async function getMaterials(videoId) {
+  const result = await pool.query(
+    'SELECT * FROM video_materials WHERE video_id = $1 ORDER BY position',
+    [videoId]
+  );
+  return result.rows;
+}
+
+/**
+ * Merge the tools and parts lists of a user's saved videos into one shopping list.
+ * Items match on kind, name and spec (case-insensitive). Parts add up across videos;
+ * a tool is needed at most as many times as any single video needs it. An item is only
+ * optional if every video that lists it marks it optional. Only videos the user can still
+ * watch count: public, done processing, not flagged and not by a blocked author.
+ * @param {string} userId - User ID
+ * @param {string|null} folderId - Toolbox folder, 'uncategorized', or null for all saved videos
+ * @param {string[]} [blockedUserIds] - Authors to leave out (see getBlockedUserIds)
+ * @returns {Promise<object[]>} - One row per merged item, tools first
+ */
+async function getShoppingList(userId, folderId, blockedUserIds = []) {
+  const params = [userId, blockedUserIds];
+  let folderFilter = '';
+  if (folderId === 'uncategorized') {
+    folderFilter = 'AND vs.folder_id IS NULL';
+  } else if (folderId) {
+    folderFilter = 'AND vs.folder_id = $3';
+    params.push(folderId);
+  }
+
+  const result = await pool.query(`
+    SELECT m.kind,
+           (array_agg(m.name ORDER BY vs.created_at, m.position))[1] as name,
+           (array_agg(m.spec ORDER BY vs.created_at, m.position))[1] as spec,
+           (CASE WHEN m.kind = 'part' THEN SUM(m.quantity) ELSE MAX(m.quantity) END)::INTEGER as quantity,
+           bool_and(m.is_optional) as is_optional,
+           json_agg(DISTINCT jsonb_build_object('id', v.id, 'title', v.title)) as videos
+    FROM video_saves vs
+    JOIN videos v ON v.id = vs.video_id
+    JOIN video_materials m ON m.video_id = v.id
+    WHERE vs.user_id = $1 AND v.is_flagged = false
+      AND v.visibility IN ('published', 'unlisted') AND v.processing_status = 'ready'
+      AND v.author_id != ALL($2::uuid[]) ${folderFilter}
+    GROUP BY m.kind, lower(m.name), lower(COALESCE(m.spec, ''))
+    ORDER BY m.kind DESC, bool_and(m.is_optional), lower(m.name)
+  `, params);
+
+  return result.rows;
+}
+
+const formatMaterial = (row) => ({
+  kind: row.kind,
+  name: row.name,
+  quantity: row.quantity,
+  spec: row.spec,
+  optional: row.is_optional
+});
+
+module.exports = {
+  MATERIAL_KINDS,
+  parseMaterials,
+  setMaterials,
+  getMaterials,
+  getShoppingList,
+  formatMaterial
+};
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+// Minimal ISO BMFF (MP4 / QuickTime) reader: walks the box tree far enough to read
+// duration, display size and codecs without any native dependency.
+
+// moov is normally well under a megabyte; anything bigger than this is not a short clip
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+
+const SUPPORTED_VIDEO_CODECS = {
+  avc1: 'h264',
+  avc3: 'h264',
+  hvc1: 'hevc',
+  hev1: 'hevc'
+};
+
+const SUPPORTED_AUDIO_CODECS = {
+  'mp4a': 'aac'
+};
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const THUMBNAIL_WIDTH = 480;
+const THUMBNAIL_TIMEOUT_MS = 20000;
+
+class MediaInfoError extends Error {}
+
+// Box header: 32-bit size + fourcc, with a 64-bit size when size == 1 and "to end" when size == 0
+function readBoxHeader(buffer, offset, end) {
+  if (offset + 8 > end) return null;
+
+  let size = buffer.readUInt32BE(offset);
+  const type = buffer.toString('latin1', offset + 4, offset + 8);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (offset + 16 > end) return null;
+    size = Number(buffer.readBigUInt64BE(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = end - offset;
+  }
+
+  if (size < headerSize || offset + size > end) return null;
+
+  return { type, start: offset, size, headerSize, contentStart: offset + headerSize, end: offset + size };
+}
+
+function childBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset < end) {
+    const box = readBoxHeader(buffer, offset, end);
+    if (!box) break;
+    boxes.push(box);
+    offset = box.end;
+  }
+  return boxes;
+}
+
+function findChild(buffer, parent, type) {
+  return childBoxes(buffer, parent.contentStart, parent.end).find(box => box.type === type) || null;
+}
+
+function findPath(buffer, parent, types) {
+  let box = parent;
+  for (const type of types) {
+    box = findChild(buffer, box, type);
+    if (!box) return null;
+  }
+  return box;
+}
+
+// mvhd and mdhd share a layout: version/flags, times, then timescale + duration
+function readTimescaleAndDuration(buffer, box) {
+  const version = buffer.readUInt8(box.contentStart);
+  if (version === 1) {
+    return {
+      timescale: buffer.readUInt32BE(box.contentStart + 20),
+      duration: Number(buffer.readBigUInt64BE(box.contentStart + 24))
+    };
+  }
+  return {
+    timescale: buffer.readUInt32BE(box.contentStart + 12),
+    duration: buffer.readUInt32BE(box.contentStart + 16)
+  };
+}
+
+function readTrackHeader(buffer, box) {
+  const version = buffer.readUInt8(box.contentStart);
+  // Fields after the version-dependent times/duration: reserved(8) layer(2) group(2) volume(2) reserved(2)
+  const matrixOffset = box.contentStart + (version === 1 ? 36 : 24) + 16;
+  const widthOffset = matrixOffset + 36;
+
+  const a = buffer.readInt32BE(matrixOffset);
+  const b = buffer.readInt32BE(matrixOffset + 4);
+  let width = Math.round(buffer.readUInt32BE(widthOffset) / 65536);
+  let height = Math.round(buffer.readUInt32BE(widthOffset + 4) / 65536);
+
+  // Phones store portrait clips as landscape frames plus a 90/270 degree display matrix
+  if (a === 0 && Math.abs(b) === 65536) {
+    [width, height] = [height, width];
+  }
+
+  return { width, height };
+}
+
+function readTrack(buffer, trak) {
+  const hdlr = findPath(buffer, trak, ['mdia', 'hdlr']);
+  const stsd = findPath(buffer, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+  const mdhd = findPath(buffer, trak, ['mdia', 'mdhd']);
+  const tkhd = findChild(buffer, trak, 'tkhd');
+
+  if (!hdlr || !stsd) return null;
+
+  const handler = buffer.toString('latin1', hdlr.contentStart + 8, hdlr.contentStart + 12);
+  // stsd: version/flags(4) entry_count(4), then the first sample entry's box header carries the codec fourcc
+  const entry = readBoxHeader(buffer, stsd.contentStart + 8, stsd.end);
+
+  return {
+    handler,
+    codec: entry ? entry.type : null,
+    ...(mdhd ? readTimescaleAndDuration(buffer, mdhd) : {}),
+    ...(tkhd && handler === 'vide' ? readTrackHeader(buffer, tkhd) : {})
+  };
+}
+
+// Read just the moov box: top-level boxes are skipped by seeking, so large mdat payloads are never loaded
+async function readMoovBox(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+      const { bytesRead } = await handle.read(header, 0, 16, offset);
+      const rawSize = header.readUInt32BE(0);
+      const type = header.toString('latin1', 4, 8);
+
+      let boxSize;
+      if (rawSize === 1 && bytesRead >= 16) {
+        boxSize = Number(header.readBigUInt64BE(8));
+      } else if (rawSize === 0) {
+        boxSize = fileSize - offset;
+      } else {
+        boxSize = rawSize;
+      }
+
+      if (boxSize < 8 || offset + boxSize > fileSize) {
+        throw new MediaInfoError('File is not a valid MP4 or MOV video');
+      }
+
+      if (type === 'moov') {
+        if (boxSize > MAX_MOOV_BYTES) {
+          throw new MediaInfoError('Video metadata is too large');
+        }
+        const moov = Buffer.alloc(boxSize);
+        await handle.read(moov, 0, boxSize, offset);
+        return moov;
+      }
+
+      offset += boxSize;
+    }
+
+    throw new MediaInfoError('Video has no metadata (moov) box');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Inspect an MP4/MOV file
+ * @param {string} filePath - Path of the video file
+ * @returns {Promise<{duration: number, width: number|null, height: number|null, videoCodec: string, audioCodec: string|null}>}
+ *   duration is in seconds (fractional); codecs are normalized names (h264, hevc, aac)
+ * @throws {MediaInfoError} - When the file cannot be parsed or uses an unsupported codec
+ */
+async function inspectVideo(filePath) {
+  const buffer = await readMoovBox(filePath);
+  const moov = readBoxHeader(buffer, 0, buffer.length);
+  if (!moov) {
+    throw new MediaInfoError('File is not a valid MP4 or MOV video');
+  }
+
+  const tracks = childBoxes(buffer, moov.contentStart, moov.end)
+    .filter(box => box.type === 'trak')
+    .map(trak => readTrack(buffer, trak))
+    .filter(Boolean);
+
+  const videoTrack = tracks.find(track => track.handler === 'vide');
+  const audioTrack = tracks.find(track => track.handler === 'soun');
+
+  if (!videoTrack) {
+    throw new MediaInfoError('File does not contain a video track');
+  }
+
+  const videoCodec = SUPPORTED_VIDEO_CODECS[videoTrack.codec];
+  if (!videoCodec) {
+    throw new MediaInfoError(`Unsupported video codec "${videoTrack.codec}" (use H.264 or HEVC)`);
+  }
+
+  let audioCodec = null;
+  if (audioTrack) {
+    audioCodec = SUPPORTED_AUDIO_CODECS[audioTrack.codec];
+    if (!audioCodec) {
+      throw new MediaInfoError(`Unsupported audio codec "${audioTrack.codec}" (use AAC)`);
+    }
+  }
+
+  // Prefer the movie header; fall back to the longest track if it is missing or zero
+  const mvhd = findChild(buffer, moov, 'mvhd');
+  const movie = mvhd ? readTimescaleAndDuration(buffer, mvhd) : { timescale: 0, duration: 0 };
+  let duration = movie.timescale ? movie.duration / movie.timescale : 0;
+  if (!duration) {
+    duration = Math.max(0, ...tracks.map(track => (track.timescale ? track.duration / track.timescale : 0)));
+  }
+
+  if (!duration) {
+    throw new MediaInfoError('Could not determine video duration');
+  }
+
+  return {
+    duration,
+    width: videoTrack.width || null,
+    height: videoTrack.height || null,
+    videoCodec,
+    audioCodec
+  };
+}
+
+/**
+ * Grab a poster frame with ffmpeg. Returns null (and logs) when ffmpeg is not installed or fails,
+ * so a missing binary never fails an upload.
+ * @param {string} filePath - Path of the video file
+ * @param {number} duration - Video duration in seconds, used to pick the frame
+ * @returns {Promise<string|null>} - Path of a temporary JPEG the caller must move or delete
+ */
+function extractThumbnail(filePath, duration) {
+  const outputPath = path.join(os.tmpdir(), `quickfix-thumb-${crypto.randomUUID()}.jpg`);
+  const seekSeconds = Math.min(1, duration / 2).toFixed(2);
+
+  const args = [
+    '-hide_banner', '-loglevel', 'error',
+    '-ss', seekSeconds,
+    '-i', filePath,
+    '-frames:v', '1',
+    '-vf', `scale=${THUMBNAIL_WIDTH}:-2`,
+    '-y', outputPath
+  ];
+
+  return new Promise((resolve) => {
+    execFile(FFMPEG_PATH, args, { timeout: THUMBNAIL_TIMEOUT_MS }, (error) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          console.warn('[MEDIA] ffmpeg not found, skipping thumbnail generation (set FFMPEG_PATH)');
+        } else {
+          console.error('[MEDIA] Thumbnail extraction failed:', error.message);
+        }
+        fs.promises.unlink(outputPath).catch(() => {});
+        return resolve(null);
+      }
+      resolve(outputPath);
+    });
+  });
+}
+
+module.exports = {
+  MediaInfoError,
+  inspectVideo,
+  extractThumbnail
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// Each provider can be pointed elsewhere (e.g. the local stand-in from
+// server/scripts/oidc-dev-issuer.js) with OIDC_<PROVIDER>_JWKS_URL,
+// OIDC_<PROVIDER>_ISSUER and OIDC_<PROVIDER>_CLIENT_IDS (comma-separated).
+const PROVIDER_DEFAULTS = {
+  google: {
+    jwksUrl: 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    clientIdsEnv: 'GOOGLE_CLIENT_IDS'
+  },
+  apple: {
+    jwksUrl: 'https://appleid.apple.com/auth/keys',
+    issuers: ['https://appleid.apple.com'],
+    clientIdsEnv: 'APPLE_CLIENT_IDS'
+  }
+};
+
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+
+// jwksUrl -> { keys, fetchedAt }
+const jwksCache = new Map();
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve the configuration for a provider
+ * @param {string} provider - Provider name (google, apple)
+ * @returns {{name: string, jwksUrl: string, issuers: string[], clientIds: string[]} | null}
+ */
+function getProviderConfig(provider) {
+  // Own keys only, so names like "constructor" or "__proto__" are not providers
+  if (!Object.prototype.hasOwnProperty.call(PROVIDER_DEFAULTS, provider)) {
+    return null;
+  }
+  const defaults = PROVIDER_DEFAULTS[provider];
+
+  const prefix = `OIDC_${provider.toUpperCase()}_`;
+  const issuers = splitList(process.env[`${prefix}ISSUER`]);
+  const clientIds = splitList(process.env[`${prefix}CLIENT_IDS`] || process.env[defaults.clientIdsEnv]);
+
+  return {
+    name: provider,
+    jwksUrl: process.env[`${prefix}JWKS_URL`] || defaults.jwksUrl,
+    issuers: issuers.length > 0 ? issuers : defaults.issuers,
+    clientIds
+  };
+}
+
+async function fetchJwks(jwksUrl, forceRefresh = false) {
+  const cached = jwksCache.get(jwksUrl);
+  const now = Date.now();
+
+  if (cached) {
+    const age = now - cached.fetchedAt;
+    if (age < JWKS_CACHE_TTL_MS && (!forceRefresh || age < JWKS_MIN_REFRESH_INTERVAL_MS)) {
+      return cached.keys;
+    }
+  }
+
+  const response = await axios.get(jwksUrl, { timeout: 5000 });
+  const keys = Array.isArray(response.data?.keys) ? response.data.keys : [];
+
+  jwksCache.set(jwksUrl, { keys, fetchedAt: now });
+  return keys;
+}
+
+// Looks up the signing key by kid, refetching once in case the provider rotated its keys
+async function getSigningKey(jwksUrl, kid) {
+  let keys = await fetchJwks(jwksUrl);
+  let jwk = keys.find(key => key.kid === kid);
+
+  if (!jwk) {
+    keys = await fetchJwks(jwksUrl, true);
+    jwk = keys.find(key => key.kid === kid);
+  }
+
+  if (!jwk) {
+    return null;
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify a provider ID token
+ * @param {string} provider - Provider name (google, apple)
+ * @param {string} idToken - ID token from the provider SDK
+ * @param {{nonce?: string}} [options] - Raw nonce the app passed to the provider, if any
+ * @returns {Promise<{success: boolean, identity?: {provider: string, subject: string, email: string|null, emailVerified: boolean, name: string|null}, error?: string}>}
+ */
+async function verifyIdToken(provider, idToken, options = {}) {
+  const config = getProviderConfig(provider);
+  if (!config) {
+    return { success: false, error: 'Unsupported provider' };
+  }
+
+  if (config.clientIds.length === 0) {
+    console.error(`[OIDC] No client IDs configured for ${provider}`);
+    return { success: false, error: 'Provider not configured' };
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header?.kid) {
+    return { success: false, error: 'Malformed ID token' };
+  }
+
+  let claims;
+  try {
+    const key = await getSigningKey(config.jwksUrl, decoded.header.kid);
+    if (!key) {
+      return { success: false, error: 'Unknown signing key' };
+    }
+
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: config.issuers,
+      audience: config.clientIds
+    });
+  } catch (error) {
+    console.log(`[OIDC] ${provider} ID token rejected:`, error.message);
+    return { success: false, error: 'Invalid ID token' };
+  }
+
+  if (options.nonce) {
+    // Apple expects the SHA-256 of the nonce in the request, Google echoes it as-is
+    const hashedNonce = crypto.createHash('sha256').update(options.nonce).digest('hex');
+    if (claims.nonce !== options.nonce && claims.nonce !== hashedNonce) {
+      return { success: false, error: 'Nonce mismatch' };
+    }
+  }
+
+  if (!claims.sub) {
+    return { success: false, error: 'ID token has no subject' };
+  }
+
+  return {
+    success: true,
+    identity: {
+      provider,
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      // Apple sends booleans as strings
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || null
+    }
+  };
+}
+
+module.exports = { PROVIDER_DEFAULTS, getProviderConfig, verifyIdToken };
@@ -0,0 +1,137 @@
+// Opaque cursor (keyset) pagination shared by the list routes.
+//
+// A list query orders by a fixed list of columns ending in a unique one (usually id)
+// and selects cursorSelect(columns) so every row carries its own position. The next
+// page continues strictly after the last row, so rows posted in the meantime can't
+// shift the window the way LIMIT/OFFSET does.
+//
+// Clients opt in by sending ?cursor= (empty for the first page) and get
+// { items, nextCursor }. Without it the route answers with the plain array it always
+// did, honours ?offset= and exposes the next cursor in the X-Next-Cursor header.
+//
+// Cursor values reach SQL as text and are cast to the column types, so a tampered
+// cursor can still fail there; routes answer those errors with 400 (isInvalidInputError).
+
+// SQLSTATEs for text that does not parse as the target type (bad uuid, timestamp, number)
+const INVALID_INPUT_CODES = ['22P02', '22007', '22008', '22003'];
+
+/**
+ * Read limit/offset/cursor from a query string
+ * @param {object} query - req.query
+ * @param {object} [options]
+ * @param {number} [options.defaultLimit] - Page size when none is given
+ * @param {number} [options.maxLimit] - Largest page size a client may ask for
+ * @param {string} [options.key] - Identifies the list and sort order; cursors from another list are rejected
+ * @param {string[]} [options.columns] - Sort columns of the list; a cursor must hold one value per column
+ * @returns {{limit: number, offset: number, after: string[]|null, cursorRequested: boolean, key: string}|null}
+ *   - null when the cursor is malformed or belongs to another list
+ */
+function getPageParams(query, { defaultLimit = 20, maxLimit = 100, key = '', columns = [] } = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  const cursorRequested = query.cursor !== undefined;
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor, key);
+    if (!after || after.length !== columns.length) {
+      return null;
+    }
+  }
+
+  return {
+    limit,
+    // A cursor already encodes the position, so offset only applies to legacy requests
+    offset: after ? 0 : Math.max(parseInt(query.offset) || 0, 0),
+    after,
+    cursorRequested,
+    key
+  };
+}
+
+function encodeCursor(values, key) {
+  return Buffer.from(JSON.stringify({ k: key, v: values })).toString('base64url');
+}
+
+function decodeCursor(cursor, key) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded.k !== key || !Array.isArray(decoded.v) || !decoded.v.every(value => typeof value === 'string')) {
+      return null;
+    }
+    return decoded.v;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * SQL select item that exposes a row's position as text (keeps full timestamp precision)
+ * @param {string[]} columns - Sort columns/expressions, in ORDER BY order
+ * @returns {string}
+ */
+function cursorSelect(columns) {
+  return `ARRAY[${columns.map(column => `(${column})::text`).join(', ')}] as page_cursor`;
+}
+
+/**
+ * WHERE condition selecting the rows after the cursor position
+ * @param {string[]} columns - Sort columns/expressions, in ORDER BY order (all the same direction)
+ * @param {string[]} after - Decoded cursor values
+ * @param {number} paramIndex - Index of the first placeholder to use
+ * @param {'ASC'|'DESC'} [direction] - Sort direction of the columns
+ * @returns {{sql: string, params: string[]}}
+ */
+function keysetCondition(columns, after, paramIndex, direction = 'DESC') {
+  const placeholders = columns.map((column, i) => `$${paramIndex + i}`);
+  const operator = direction === 'ASC' ? '>' : '<';
+  return {
+    sql: `(${columns.join(', ')}) ${operator} (${placeholders.join(', ')})`,
+    params: after
+  };
+}
+
+/**
+ * Whether a query failed because a value (e.g. from a tampered cursor) is not valid for its column
+ * @param {Error} error - Error thrown by pg
+ * @returns {boolean}
+ */
+function isInvalidInputError(error) {
+  return INVALID_INPUT_CODES.includes(error.code);
+}
+
+/**
+ * Send one page. Queries fetch limit + 1 rows; the extra row only signals that another page exists.
+ * @param {object} res - Express response
+ * @param {object} page - Result of getPageParams
+ * @param {object[]} rows - Rows selected with cursorSelect
+ * @param {Function} mapRow - Formats a row for the response
+ * @param {object} [options]
+ * @param {string} [options.legacyKey] - For lists that always answered with an object: the field holding the items
+ * @param {object} [options.extra] - Fields sent alongside the items
+ */
+function sendPage(res, page, rows, mapRow, { legacyKey, extra = {} } = {}) {
+  const pageRows = rows.slice(0, page.limit);
+  const hasMore = rows.length > page.limit;
+  const nextCursor = hasMore && pageRows.length > 0
+    ? encodeCursor(pageRows[pageRows.length - 1].page_cursor, page.key)
+    : null;
+
+  const items = pageRows.map(mapRow);
+
+  if (nextCursor) {
+    res.set('X-Next-Cursor', nextCursor);
+  }
+
+  if (page.cursorRequested) {
+    return res.json({ items, nextCursor, ...extra });
+  }
+  res.json(legacyKey ? { [legacyKey]: items, ...extra } : items);
+}
+
+module.exports = {
+  getPageParams,
+  cursorSelect,
+  keysetCondition,
+  isInvalidInputError,
+  sendPage
+};
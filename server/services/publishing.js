@@ -0,0 +1,106 @@
+const { pool } = require('../db');
+
+// draft and scheduled videos are only visible to their author; unlisted ones open by
+// link (GET /api/videos/:id) but never appear in listings; published ones appear everywhere
+const VISIBILITIES = ['draft', 'scheduled', 'published', 'unlisted'];
+
+/**
+ * Validate visibility/publishAt as sent by a client
+ * @param {{visibility?: string, publishAt?: string}} input - Request fields
+ * @returns {{visibility: string, publishAt: Date|null}|{error: string}}
+ *   - visibility defaults to "scheduled" when publishAt is given, otherwise "published"
+ */
+function parseVisibility({ visibility, publishAt }) {
+  const hasPublishAt = publishAt !== undefined && publishAt !== null && publishAt !== '';
+  const value = visibility || (hasPublishAt ? 'scheduled' : 'published');
+
+  if (!VISIBILITIES.includes(value)) {
+    return { error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` };
+  }
+
+  if (value !== 'scheduled') {
+    if (hasPublishAt) {
+      return { error: 'publishAt can only be set for scheduled videos' };
+    }
+    return { visibility: value, publishAt: null };
+  }
+
+  const date = hasPublishAt ? new Date(publishAt) : null;
+  if (!date || isNaN(date.getTime())) {
+    return { error: 'Scheduled videos need a valid publishAt date' };
+  }
+  if (date.getTime() <= Date.now()) {
+    return { error: 'publishAt must be in the future' };
+  }
+
+  return { visibility: value, publishAt: date };
+}
+
+/**
+ * Tell the author's followers about a newly published video
+ * @param {{id: string, author_id: string, title: string}} video - Published video
+ */
+async function notifyFollowersOfVideo(video) {
+  const result = await pool.query(`
+    INSERT INTO notifications (user_id, type, title, message, related_user_id, related_video_id)
+    SELECT f.follower_id, 'new_video', 'New Video', u.display_name || ' posted "' || $2 || '"', u.id, $3
+    FROM follows f
+    JOIN users u ON u.id = f.following_id
+    WHERE f.following_id = $1
+  `, [video.author_id, video.title, video.id]);
+
+  return result.rowCount;
+}
+
+/**
+ * Tell followers about videos that have just gone public, i.e. are both published and
+ * done processing. Each video is announced once, however often it is unpublished and
+ * published again; claiming followers_notified_at keeps concurrent callers from doubling up.
+ * @param {string[]} videoIds - Videos whose visibility or processing status just changed
+ * @returns {Promise<string[]>} - IDs of the videos announced
+ */
+async function announceNewVideos(videoIds) {
+  const result = await pool.query(`
+    UPDATE videos SET followers_notified_at = NOW()
+    WHERE id = ANY($1) AND followers_notified_at IS NULL
+      AND visibility = 'published' AND processing_status = 'ready'
+    RETURNING id, author_id, title
+  `, [videoIds]);
+
+  for (const video of result.rows) {
+    const notified = await notifyFollowersOfVideo(video);
+    console.log(`[PUBLISH] Announced video ${video.id} to ${notified} follower(s)`);
+  }
+  return result.rows.map(video => video.id);
+}
+
+/**
+ * Publish scheduled videos whose publish_at has passed. Uploads still processing are
+ * picked up on a later run once they are ready. Safe to run from several instances:
+ * the UPDATE claims each video exactly once.
+ */
+async function publishDueVideos() {
+  try {
+    const result = await pool.query(`
+      UPDATE videos
+      SET visibility = 'published', published_at = COALESCE(published_at, NOW()), updated_at = NOW()
+      WHERE visibility = 'scheduled' AND publish_at <= NOW() AND processing_status = 'ready'
+      RETURNING id
+    `);
+
+    if (result.rows.length > 0) {
+      console.log(`[PUBLISH] Published ${result.rows.length} scheduled video(s)`);
+      await announceNewVideos(result.rows.map(video => video.id));
+    }
+  } catch (error) {
+    console.error('[PUBLISH] Error publishing scheduled videos:', error);
+  }
+}
+
+module.exports = {
+  VISIBILITIES,
+  parseVisibility,
+  notifyFollowersOfVideo,
+  announceNewVideos,
+  publishDueVideos
+};
@@ -0,0 +1,228 @@
+const { pool } = require('../db');
+const { repairFilterSql } = require('./repairDetails');
+
+// Score weights for the "recommended" feed. Affinity signals are log-damped so a
+// single heavily-liked category cannot drown out everything else.
+const WEIGHTS = {
+  followedAuthor: 3.0,
+  expertiseCategory: 2.0,
+  categoryAffinity: 1.5,
+  tagAffinity: 1.0,
+  popularity: 0.5,
+  freshness: 2.0
+};
+
+// How much each interaction says about a user's interests
+const INTERACTION_WEIGHTS = {
+  save: 4,
+  like: 3,
+  watch: 1
+};
+
+// Interest signals and video freshness both halve in value over these periods
+const INTERACTION_HALF_LIFE_DAYS = 30;
+const FRESHNESS_HALF_LIFE_DAYS = 14;
+
+const TRENDING_WINDOW_DAYS = 7;
+
+// Recommendations only score recent videos, plus older ones from followed authors or
+// sharing a tag with the viewer's interests, rather than the whole catalogue
+const CANDIDATE_WINDOW_DAYS = 90;
+
+// Score weights for "related videos". Text similarity is the share of search_text
+// lexemes two videos have in common (0..1), so it carries a larger weight.
+const RELATED_WEIGHTS = {
+  sharedTag: 2.0,
+  sameCategory: 1.5,
+  textSimilarity: 4.0,
+  coSave: 1.0,
+  popularity: 0.25
+};
+
+// Columns every feed query returns, matching the formatVideo mapper in routes/videos.js
+const VIDEO_COLUMNS = `
+  v.*, u.display_name as author_name, u.avatar_url as author_avatar,
+  EXISTS(SELECT 1 FROM video_likes WHERE video_id = v.id AND user_id = $1) as is_liked,
+  EXISTS(SELECT 1 FROM video_saves WHERE video_id = v.id AND user_id = $1) as is_saved
+`;
+
+function decay(column, halfLifeDays) {
+  return `POWER(0.5, EXTRACT(EPOCH FROM NOW() - ${column}) / 86400 / ${halfLifeDays})`;
+}
+
+/**
+ * Trending videos: most likes received in the last week, then overall likes and freshness
+ * @param {string|null} userId - Viewer (for is_liked / is_saved), may be null
+ * @param {string[]} blockedUserIds - Authors to exclude
+ * @param {number} limit - Maximum number of videos
+ * @param {object} [filters] - Repair detail filters, from parseRepairFilters
+ * @returns {Promise<object[]>} - Video rows
+ */
+async function getTrendingVideos(userId, blockedUserIds, limit, filters = {}) {
+  const repairFilter = repairFilterSql(filters, 4);
+  const result = await pool.query(`
+    SELECT ${VIDEO_COLUMNS},
+           (SELECT COUNT(*) FROM video_likes vl
+            WHERE vl.video_id = v.id AND vl.created_at > NOW() - INTERVAL '${TRENDING_WINDOW_DAYS} days') as recent_likes
+    FROM videos v
+    JOIN users u ON v.author_id = u.id
+    WHERE v.is_flagged = false AND v.processing_status = 'ready' AND v.visibility = 'published'
+      AND v.author_id != ALL($2)${repairFilter.sql}
+    ORDER BY recent_likes DESC, v.likes_count DESC, v.published_at DESC
+    LIMIT $3
+  `, [userId, blockedUserIds, limit, ...repairFilter.params]);
+
+  return result.rows;
+}
+
+/**
+ * Personalized recommendations. Each unwatched video is scored from:
+ * - whether the viewer follows its author
+ * - whether its category is one of the viewer's expertise_categories
+ * - the viewer's affinity for its category and tags, built from liked, saved and
+ *   watched videos (recent interactions count more)
+ * - popularity and freshness, which also carry new users with no history
+ * Only candidates are scored: videos published in the last CANDIDATE_WINDOW_DAYS, or
+ * by a followed author, or sharing a tag with the viewer's interests.
+ * Anonymous viewers get the trending list instead.
+ * @param {string|null} userId - Viewer
+ * @param {string[]} blockedUserIds - Authors to exclude (both block directions)
+ * @param {number} [limit] - Maximum number of videos
+ * @param {object} [filters] - Repair detail filters, from parseRepairFilters
+ * @returns {Promise<object[]>} - Video rows, best first
+ */
+async function getRecommendedVideos(userId, blockedUserIds, limit = 10, filters = {}) {
+  if (!userId) {
+    return getTrendingVideos(null, blockedUserIds, limit, filters);
+  }
+
+  const repairFilter = repairFilterSql(filters, 4);
+  const result = await pool.query(`
+    WITH interactions AS (
+      SELECT video_id, ${INTERACTION_WEIGHTS.like} * ${decay('created_at', INTERACTION_HALF_LIFE_DAYS)} as weight
+      FROM video_likes WHERE user_id = $1
+      UNION ALL
+      SELECT video_id, ${INTERACTION_WEIGHTS.save} * ${decay('created_at', INTERACTION_HALF_LIFE_DAYS)}
+      FROM video_saves WHERE user_id = $1
+      UNION ALL
+      SELECT video_id, ${INTERACTION_WEIGHTS.watch} * ${decay('last_watched_at', INTERACTION_HALF_LIFE_DAYS)}
+      FROM video_watches WHERE user_id = $1
+    ),
+    category_affinity AS (
+      SELECT iv.category, SUM(i.weight) as weight
+      FROM interactions i
+      JOIN videos iv ON iv.id = i.video_id
+      GROUP BY iv.category
+    ),
+    tag_affinity AS (
+      SELECT tag, SUM(i.weight) as weight
+      FROM interactions i
+      JOIN videos iv ON iv.id = i.video_id, unnest(iv.tags) as tag
+      GROUP BY tag
+    ),
+    viewer AS (
+      SELECT COALESCE(expertise_categories, '{}') as expertise_categories FROM users WHERE id = $1
+    ),
+    scored AS (
+      SELECT v.id,
+        (CASE WHEN EXISTS(SELECT 1 FROM follows WHERE follower_id = $1 AND following_id = v.author_id)
+              THEN ${WEIGHTS.followedAuthor} ELSE 0 END)
+        + (CASE WHEN v.category = ANY((SELECT expertise_categories FROM viewer))
+                THEN ${WEIGHTS.expertiseCategory} ELSE 0 END)
+        + ${WEIGHTS.categoryAffinity} * LN(1 + COALESCE((SELECT weight FROM category_affinity ca WHERE ca.category = v.category), 0))
+        + ${WEIGHTS.tagAffinity} * LN(1 + COALESCE((SELECT SUM(weight) FROM tag_affinity ta WHERE ta.tag = ANY(v.tags)), 0))
+        + ${WEIGHTS.popularity} * LN(1 + v.likes_count)
+        + ${WEIGHTS.freshness} * ${decay('v.published_at', FRESHNESS_HALF_LIFE_DAYS)}
+        as score
+      FROM videos v
+      WHERE v.is_flagged = false AND v.processing_status = 'ready' AND v.visibility = 'published'
+        AND v.author_id != $1
+        AND v.author_id != ALL($2)
+        AND NOT EXISTS(SELECT 1 FROM video_watches w WHERE w.user_id = $1 AND w.video_id = v.id)${repairFilter.sql}
+        AND (
+          v.published_at > NOW() - INTERVAL '${CANDIDATE_WINDOW_DAYS} days'
+          OR v.author_id IN (SELECT following_id FROM follows WHERE follower_id = $1)
+          OR v.tags && (SELECT COALESCE(array_agg(tag), '{}') FROM tag_affinity)
+        )
+    )
+    SELECT ${VIDEO_COLUMNS}, s.score as recommendation_score
+    FROM scored s
+    JOIN videos v ON v.id = s.id
+    JOIN users u ON v.author_id = u.id
+    ORDER BY s.score DESC, v.published_at DESC
+    LIMIT $3
+  `, [userId, blockedUserIds, limit, ...repairFilter.params]);
+
+  return result.rows;
+}
+
+/**
+ * Videos related to a given one, scored from:
+ * - tags they share with it and whether they are in the same category
+ * - how many of its search_text lexemes they share (title, tags, chapters and description)
+ * - how many users saved both to their toolbox
+ * plus a small popularity bonus. Videos with none of the above in common are left out,
+ * and only those are scored: the candidates are picked through the category, tags and
+ * search_text indexes and the co-saves before anything is computed per video.
+ * @param {string} videoId - Video being watched
+ * @param {string|null} userId - Viewer (for is_liked / is_saved), may be null
+ * @param {string[]} blockedUserIds - Authors to exclude
+ * @param {number} [limit] - Maximum number of videos
+ * @returns {Promise<object[]>} - Video rows, most related first
+ */
+async function getRelatedVideos(videoId, userId, blockedUserIds, limit = 10) {
+  const result = await pool.query(`
+    WITH source AS (
+      SELECT id, category, COALESCE(tags, '{}') as tags,
+             COALESCE(tsvector_to_array(search_text), '{}') as lexemes,
+             -- Matches any video sharing a lexeme; websearch_to_tsquery never fails on odd characters
+             websearch_to_tsquery('simple', array_to_string(tsvector_to_array(search_text), ' or ')) as any_lexeme
+      FROM videos WHERE id = $4
+    ),
+    co_saves AS (
+      SELECT other.video_id, COUNT(DISTINCT other.user_id) as count
+      FROM video_saves saved
+      JOIN video_saves other ON other.user_id = saved.user_id AND other.video_id != saved.video_id
+      WHERE saved.video_id = $4
+      GROUP BY other.video_id
+    ),
+    scored AS (
+      SELECT v.id,
+        ${RELATED_WEIGHTS.sharedTag} * (SELECT COUNT(DISTINCT tag) FROM unnest(v.tags) as tag WHERE tag = ANY(s.tags))
+        + (CASE WHEN v.category = s.category THEN ${RELATED_WEIGHTS.sameCategory} ELSE 0 END)
+        + ${RELATED_WEIGHTS.textSimilarity} * COALESCE(
+            (SELECT COUNT(*) FROM unnest(tsvector_to_array(v.search_text)) as lexeme WHERE lexeme = ANY(s.lexemes))
+            / NULLIF(SQRT(cardinality(s.lexemes)::float * length(v.search_text)), 0), 0)
+        + ${RELATED_WEIGHTS.coSave} * LN(1 + COALESCE(cs.count, 0))
+        as relatedness
+      FROM videos v
+      CROSS JOIN source s
+      LEFT JOIN co_saves cs ON cs.video_id = v.id
+      WHERE v.id != s.id
+        AND v.is_flagged = false AND v.processing_status = 'ready' AND v.visibility = 'published'
+        AND v.author_id != ALL($2)
+        AND (
+          v.category = s.category
+          OR v.tags && s.tags
+          OR v.search_text @@ s.any_lexeme
+          OR cs.video_id IS NOT NULL
+        )
+    )
+    SELECT ${VIDEO_COLUMNS},
+           s.relatedness + ${RELATED_WEIGHTS.popularity} * LN(1 + v.likes_count) as related_score
+    FROM scored s
+    JOIN videos v ON v.id = s.id
+    JOIN users u ON v.author_id = u.id
+    WHERE s.relatedness > 0
+    ORDER BY related_score DESC, v.published_at DESC
+    LIMIT $3
+  `, [userId, blockedUserIds, limit, videoId]);
+
+  return result.rows;
+}
+
+module.exports = {
+  getRecommendedVideos,
+  getTrendingVideos,
+  getRelatedVideos
+};
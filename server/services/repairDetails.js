@@ -0,0 +1,197 @@
+// How hard, long and expensive a fix is, and whether it needs a permit or a professional.
+// All of it is optional: videos without an estimate are left out by the matching filter
+// and sort after the ones that have it.
+const DIFFICULTIES = ['beginner', 'intermediate', 'pro'];
+
+// API name -> videos column
+const REPAIR_DETAIL_FIELDS = {
+  difficulty: 'difficulty',
+  estimatedMinutes: 'estimated_minutes',
+  estimatedCost: 'estimated_cost',
+  requiresPermit: 'requires_permit',
+  professionalOnly: 'professional_only'
+};
+
+const MAX_ESTIMATED_MINUTES = 7 * 24 * 60;
+const MAX_ESTIMATED_COST = 1000000;
+
+// Stands in for a missing estimate so such videos sort last and keyset cursors never hold NULL
+const UNKNOWN_ESTIMATE = 2147483647;
+const DIFFICULTY_RANK_SQL = `CASE v.difficulty WHEN 'beginner' THEN 1 WHEN 'intermediate' THEN 2 WHEN 'pro' THEN 3 ELSE 4 END`;
+
+// Ascending keyset columns for the sort orders these fields add to video lists
+const REPAIR_SORT_COLUMNS = {
+  quickest: [`COALESCE(v.estimated_minutes, ${UNKNOWN_ESTIMATE})`, 'v.id'],
+  cheapest: [`COALESCE(v.estimated_cost, ${UNKNOWN_ESTIMATE})`, 'v.id'],
+  easiest: [DIFFICULTY_RANK_SQL, `COALESCE(v.estimated_minutes, ${UNKNOWN_ESTIMATE})`, 'v.id']
+};
+
+// Multipart fields arrive as strings
+const parseBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+const parseWholeNumber = (value, max) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(number) && number >= 0 && number <= max ? number : undefined;
+};
+
+/**
+ * Validate the repair details sent when creating or editing a video.
+ * Only fields present in the input are returned; null clears an estimate.
+ * @param {object} input - Request body
+ * @returns {{details: object}|{error: string}} - details is keyed by column name
+ */
+function parseRepairDetails(input) {
+  const details = {};
+  const { difficulty, estimatedMinutes, estimatedCost } = input;
+
+  if (difficulty !== undefined) {
+    if (difficulty !== null && difficulty !== '' && !DIFFICULTIES.includes(difficulty)) {
+      return { error: `Difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+    }
+    details.difficulty = difficulty || null;
+  }
+
+  if (estimatedMinutes !== undefined) {
+    const minutes = estimatedMinutes === null || estimatedMinutes === ''
+      ? null
+      : parseWholeNumber(estimatedMinutes, MAX_ESTIMATED_MINUTES);
+    if (minutes === undefined || minutes === 0) {
+      return { error: `estimatedMinutes must be a whole number from 1 to ${MAX_ESTIMATED_MINUTES}` };
+    }
+    details.estimated_minutes = minutes;
+  }
+
+  if (estimatedCost !== undefined) {
+    const cost = estimatedCost === null || estimatedCost === ''
+      ? null
+      : parseWholeNumber(estimatedCost, MAX_ESTIMATED_COST);
+    if (cost === undefined) {
+      return { error: `estimatedCost must be a whole number from 0 to ${MAX_ESTIMATED_COST}` };
+    }
+    details.estimated_cost = cost;
+  }
+
+  for (const field of ['requiresPermit', 'professionalOnly']) {
+    if (input[field] !== undefined) {
+      const flag = parseBoolean(input[field]);
+      if (flag === undefined) {
+        return { error: `${field} must be a boolean` };
+      }
+      details[REPAIR_DETAIL_FIELDS[field]] = flag;
+    }
+  }
+
+  return { details };
+}
+
+/**
+ * Read listing filters from a query string:
+ * difficulty (comma-separated), maxMinutes, maxCost, requiresPermit, professionalOnly
+ * @param {object} query - req.query
+ * @returns {{filters: object}|{error: string}}
+ */
+function parseRepairFilters(query) {
+  const filters = {};
+
+  if (query.difficulty) {
+    const difficulties = String(query.difficulty).split(',').map(value => value.trim()).filter(Boolean);
+    if (!difficulties.every(value => DIFFICULTIES.includes(value))) {
+      return { error: `Difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+    }
+    filters.difficulties = difficulties;
+  }
+
+  if (query.maxMinutes !== undefined) {
+    filters.maxMinutes = parseWholeNumber(query.maxMinutes, Number.MAX_SAFE_INTEGER);
+    if (filters.maxMinutes === undefined) {
+      return { error: 'maxMinutes must be a whole number' };
+    }
+  }
+
+  if (query.maxCost !== undefined) {
+    filters.maxCost = parseWholeNumber(query.maxCost, Number.MAX_SAFE_INTEGER);
+    if (filters.maxCost === undefined) {
+      return { error: 'maxCost must be a whole number' };
+    }
+  }
+
+  for (const field of ['requiresPermit', 'professionalOnly']) {
+    if (query[field] !== undefined) {
+      filters[field] = parseBoolean(query[field]);
+      if (filters[field] === undefined) {
+        return { error: `${field} must be true or false` };
+      }
+    }
+  }
+
+  return { filters };
+}
+
+/**
+ * SQL conditions for parsed filters, on videos aliased as v
+ * @param {object} filters - From parseRepairFilters
+ * @param {number} paramIndex - Index of the first placeholder to use
+ * @returns {{sql: string, params: Array}} - sql is empty or starts with " AND"
+ */
+function repairFilterSql(filters, paramIndex) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${paramIndex + params.length - 1}`));
+  };
+
+  if (filters.difficulties) add('v.difficulty = ANY(?)', filters.difficulties);
+  if (filters.maxMinutes !== undefined) add('v.estimated_minutes <= ?', filters.maxMinutes);
+  if (filters.maxCost !== undefined) add('v.estimated_cost <= ?', filters.maxCost);
+  if (filters.requiresPermit !== undefined) add('v.requires_permit = ?', filters.requiresPermit);
+  if (filters.professionalOnly !== undefined) add('v.professional_only = ?', filters.professionalOnly);
+
+  return {
+    sql: conditions.map(condition => ` AND ${condition}`).join(''),
+    params
+  };
+}
+
+/**
+ * Order already selected video rows like the REPAIR_SORT_COLUMNS sort of the same name
+ * @param {object[]} rows - Video rows
+ * @param {string} sort - quickest, cheapest or easiest
+ * @returns {object[]} - New array; rows unchanged for any other sort
+ */
+function sortByRepairDetails(rows, sort) {
+  const estimate = value => value === null || value === undefined ? UNKNOWN_ESTIMATE : value;
+  const rank = row => {
+    const index = DIFFICULTIES.indexOf(row.difficulty);
+    return index === -1 ? DIFFICULTIES.length : index;
+  };
+  const comparators = {
+    quickest: (a, b) => estimate(a.estimated_minutes) - estimate(b.estimated_minutes),
+    cheapest: (a, b) => estimate(a.estimated_cost) - estimate(b.estimated_cost),
+    easiest: (a, b) => rank(a) - rank(b) || estimate(a.estimated_minutes) - estimate(b.estimated_minutes)
+  };
+  return comparators[sort] ? [...rows].sort(comparators[sort]) : rows;
+}
+
+const formatRepairDetails = (row) => ({
+  difficulty: row.difficulty,
+  estimatedMinutes: row.estimated_minutes,
+  estimatedCost: row.estimated_cost,
+  requiresPermit: row.requires_permit,
+  professionalOnly: row.professional_only
+});
+
+module.exports = {
+  DIFFICULTIES,
+  REPAIR_DETAIL_FIELDS,
+  REPAIR_SORT_COLUMNS,
+  parseRepairDetails,
+  parseRepairFilters,
+  repairFilterSql,
+  sortByRepairDetails,
+  formatRepairDetails
+};
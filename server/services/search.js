@@ -0,0 +1,77 @@
+// Full-text search helpers for videos.search_text.
+// Each video is indexed with its own text search configuration (videos.search_language);
+// queries are parsed with every supported configuration and OR-ed together so a search
+// matches stemmed words regardless of the language the video was indexed in.
+
+// PostgreSQL built-in configurations we accept; 'simple' does no stemming (any other language)
+const SEARCH_LANGUAGES = ['english', 'swedish', 'norwegian', 'danish', 'finnish', 'german', 'french', 'spanish', 'simple'];
+const DEFAULT_SEARCH_LANGUAGE = 'english';
+
+const LANGUAGE_CODES = {
+  en: 'english',
+  sv: 'swedish',
+  no: 'norwegian',
+  nb: 'norwegian',
+  nn: 'norwegian',
+  da: 'danish',
+  fi: 'finnish',
+  de: 'german',
+  fr: 'french',
+  es: 'spanish'
+};
+
+// ts_headline does not escape the source text; clients must treat snippets as plain text with markers
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>';
+const SNIPPET_OPTIONS = `${HIGHLIGHT_OPTIONS}, MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const MAX_PREFIX_TERMS = 6;
+
+/**
+ * Map a client-supplied language ("sv", "Swedish", "swedish") to a search configuration
+ * @param {string} [language] - Language name or ISO 639-1 code
+ * @returns {string|null} - Configuration name, the default when none given, or null if unsupported
+ */
+function normalizeSearchLanguage(language) {
+  if (!language) {
+    return DEFAULT_SEARCH_LANGUAGE;
+  }
+  const value = String(language).trim().toLowerCase();
+  if (SEARCH_LANGUAGES.includes(value)) {
+    return value;
+  }
+  return LANGUAGE_CODES[value.split(/[-_]/)[0]] || null;
+}
+
+/**
+ * SQL for a tsquery matching `paramRef` in any supported configuration
+ * @param {string} paramRef - Placeholder of the search text, e.g. "$3"
+ * @param {'websearch'|'prefix'} [mode] - websearch_to_tsquery syntax, or a to_tsquery prefix query from buildPrefixQuery
+ * @returns {string}
+ */
+function tsQuerySql(paramRef, mode = 'websearch') {
+  const parser = mode === 'prefix' ? 'to_tsquery' : 'websearch_to_tsquery';
+  return `(${SEARCH_LANGUAGES.map(language => `${parser}('${language}', ${paramRef})`).join(' || ')})`;
+}
+
+/**
+ * Turn partially typed text into a to_tsquery prefix query ("sink dra" -> "sink:* & dra:*")
+ * @param {string} text - Text as typed
+ * @returns {string|null} - Query, or null when nothing searchable remains
+ */
+function buildPrefixQuery(text) {
+  const terms = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!terms) {
+    return null;
+  }
+  return terms.slice(0, MAX_PREFIX_TERMS).map(term => `${term}:*`).join(' & ');
+}
+
+module.exports = {
+  SEARCH_LANGUAGES,
+  DEFAULT_SEARCH_LANGUAGE,
+  HIGHLIGHT_OPTIONS,
+  SNIPPET_OPTIONS,
+  normalizeSearchLanguage,
+  tsQuerySql,
+  buildPrefixQuery
+};
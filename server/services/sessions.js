@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { pool } = require('../db');
+const { generateToken, ACCESS_TOKEN_TTL_SECONDS } = require('../middleware/auth');
+
+// Refresh tokens live for 30 days and rotate on every use
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash a refresh token for storage (only the hash is kept in the database)
+ * @param {string} token - Raw refresh token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Read the device description the app sends with login/register/refresh.
+ * Headers X-Device-Name / X-Platform take precedence over body fields.
+ * @param {object} req - Express request
+ * @returns {{deviceName: string|null, platform: string|null, ip: string|null, userAgent: string|null}}
+ */
+function getDeviceInfo(req) {
+  const body = req.body || {};
+  const deviceName = req.get('X-Device-Name') || body.deviceName || null;
+  const platform = req.get('X-Platform') || body.platform || null;
+
+  return {
+    deviceName: deviceName ? String(deviceName).slice(0, 100) : null,
+    platform: platform ? String(platform).slice(0, 30).toLowerCase() : null,
+    ip: req.ip || null,
+    userAgent: req.get('User-Agent') || null
+  };
+}
+
+/**
+ * Create a new session and issue its first access/refresh token pair
+ * @param {string} userId - User ID
+ * @param {{deviceName?: string, platform?: string, ip?: string, userAgent?: string}} [device] - Device the session is for
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+ */
+async function createSession(userId, device = {}) {
+  const refreshToken = createRefreshToken();
+
+  const result = await pool.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, expires_at, device_name, platform, ip, user_agent)
+     VALUES ($1, $2, NOW() + $3 * INTERVAL '1 day', $4, $5, $6, $7)
+     RETURNING id`,
+    [userId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS, device.deviceName || null, device.platform || null, device.ip || null, device.userAgent || null]
+  );
+
+  const sessionId = result.rows[0].id;
+
+  return {
+    token: generateToken(userId, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already rotated refresh token revokes the whole session,
+ * since it means the token was copied.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {{ip?: string}} [device] - Device refreshing the session
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string} | null>}
+ */
+async function rotateSession(refreshToken, device = {}) {
+  const tokenHash = hashToken(refreshToken);
+
+  const reused = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE previous_refresh_token_hash = $1 AND revoked_at IS NULL
+     RETURNING id, user_id`,
+    [tokenHash]
+  );
+
+  if (reused.rows.length > 0) {
+    console.log(`[SESSION] Refresh token reuse detected, revoked session ${reused.rows[0].id} for user ${reused.rows[0].user_id}`);
+    return null;
+  }
+
+  const newRefreshToken = createRefreshToken();
+
+  const result = await pool.query(
+    `UPDATE sessions
+     SET previous_refresh_token_hash = refresh_token_hash,
+         refresh_token_hash = $2,
+         expires_at = NOW() + $3 * INTERVAL '1 day',
+         last_used_at = NOW(),
+         ip = COALESCE($4, ip)
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING id, user_id`,
+    [tokenHash, hashToken(newRefreshToken), REFRESH_TOKEN_TTL_DAYS, device.ip || null]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const session = result.rows[0];
+
+  return {
+    token: generateToken(session.user_id, session.id),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: session.id
+  };
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} - Session rows
+ */
+async function listSessions(userId) {
+  const result = await pool.query(`
+    SELECT id, device_name, platform, ip, user_agent, last_used_at, created_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return result.rows;
+}
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} - Whether a session was revoked
+ */
+async function revokeSessionByRefreshToken(refreshToken) {
+  const result = await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE refresh_token_hash = $1 AND revoked_at IS NULL RETURNING id',
+    [hashToken(refreshToken)]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoke a single session of a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - Whether a session was revoked
+ */
+async function revokeSession(userId, sessionId) {
+  const result = await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id',
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoke every session of a user, optionally keeping one (e.g. the current device)
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep
+ * @param {object} [db] - Pool or a client inside a transaction
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+async function revokeAllSessions(userId, exceptSessionId = null, db = pool) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::UUID IS NULL OR id != $2)`,
+    [userId, exceptSessionId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  hashToken,
+  getDeviceInfo,
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
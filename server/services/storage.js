@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local disk storage, served by the /uploads static mount in index.js.
+// Keys are relative paths such as "videos/<id>.mp4".
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const TMP_DIR = path.join(UPLOAD_DIR, 'tmp');
+const PUBLIC_PREFIX = '/uploads';
+
+function resolveKey(key) {
+  const fullPath = path.resolve(UPLOAD_DIR, key);
+  if (!fullPath.startsWith(path.resolve(UPLOAD_DIR) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return fullPath;
+}
+
+async function ensureDirs() {
+  await fs.promises.mkdir(TMP_DIR, { recursive: true });
+}
+
+/**
+ * Move a file (e.g. a finished upload in TMP_DIR) into storage
+ * @param {string} sourcePath - Absolute path of the file to move
+ * @param {string} key - Destination key
+ * @returns {Promise<string>} - Public URL of the stored file
+ */
+async function putFile(sourcePath, key) {
+  const destination = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+
+  try {
+    await fs.promises.rename(sourcePath, destination);
+  } catch (error) {
+    // rename fails across devices; fall back to copy + delete
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(sourcePath, destination);
+    await fs.promises.unlink(sourcePath);
+  }
+
+  return getPublicUrl(key);
+}
+
+/**
+ * Write a buffer into storage
+ * @param {string} key - Destination key
+ * @param {Buffer} data - File contents
+ * @returns {Promise<string>} - Public URL of the stored file
+ */
+async function putBuffer(key, data) {
+  const destination = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+  await fs.promises.writeFile(destination, data);
+  return getPublicUrl(key);
+}
+
+/**
+ * Delete a stored file; missing files are ignored
+ * @param {string} key - Key of the file
+ */
+async function deleteFile(key) {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[STORAGE] Error deleting ${key}:`, error);
+    }
+  }
+}
+
+function getPublicUrl(key) {
+  return `${PUBLIC_PREFIX}/${key}`;
+}
+
+/**
+ * Remove entries of TMP_DIR untouched for longer than maxAgeMs (abandoned or never
+ * processed uploads). Uploads still being received or processed, by this or any other
+ * instance sharing UPLOAD_DIR, are written to or moved away well within that time.
+ * @param {number} maxAgeMs - Minimum age, by modification time
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function removeStaleTmpFiles(maxAgeMs) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(TMP_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let removed = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(TMP_DIR, entry);
+    try {
+      const stats = await fs.promises.stat(entryPath);
+      if (Date.now() - stats.mtimeMs < maxAgeMs) continue;
+      await fs.promises.rm(entryPath, { recursive: true, force: true });
+      removed++;
+    } catch (error) {
+      // Moved into storage or removed by another instance in the meantime
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return removed;
+}
+
+function getFilePath(key) {
+  return resolveKey(key);
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  TMP_DIR,
+  ensureDirs,
+  removeStaleTmpFiles,
+  putFile,
+  putBuffer,
+  deleteFile,
+  getPublicUrl,
+  getFilePath
+};
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../db');
+const storage = require('./storage');
+const { awardXpDirect, XP_REWARDS } = require('./xp');
+const { announceNewVideos } = require('./publishing');
+const { MediaInfoError, inspectVideo, extractThumbnail } = require('./mediaInfo');
+
+// Upload limits (size is enforced while streaming by multer, see routes/videos.js)
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB) || 100) * 1024 * 1024;
+const ALLOWED_VIDEO_MIME_TYPES = {
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov'
+};
+
+// Matches the CHECK on videos.duration; small container rounding is tolerated
+const MAX_DURATION_SECONDS = 60;
+const DURATION_TOLERANCE_SECONDS = 0.5;
+
+// Processing takes seconds (the ffmpeg poster frame is capped at 20s), so an upload still
+// "processing" after this long was abandoned, e.g. by an instance that stopped mid-way
+const STALE_PROCESSING_MINUTES = 10;
+
+/**
+ * Check that a file really is an MP4/QuickTime container (ISO BMFF "ftyp" box up front)
+ * @param {string} filePath - Path of the uploaded file
+ * @returns {Promise<boolean>}
+ */
+async function hasVideoContainerSignature(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(header, 0, 12, 0);
+    return bytesRead === 12 && header.toString('ascii', 4, 8) === 'ftyp';
+  } finally {
+    await handle.close();
+  }
+}
+
+async function markFailed(videoId, reason) {
+  await pool.query(
+    `UPDATE videos SET processing_status = 'failed', processing_error = $1, updated_at = NOW() WHERE id = $2`,
+    [reason, videoId]
+  );
+  console.log(`[UPLOAD] Video ${videoId} failed processing: ${reason}`);
+}
+
+// Poster frames are best effort: a missing ffmpeg or a bad frame leaves thumbnail_url empty
+async function storeThumbnail(videoId, filePath, duration) {
+  const thumbnailPath = await extractThumbnail(filePath, duration);
+  if (!thumbnailPath) {
+    return null;
+  }
+  return storage.putFile(thumbnailPath, `thumbnails/${videoId}.jpg`);
+}
+
+/**
+ * Validate an uploaded file and finish the video row it belongs to.
+ * The container is parsed for the real duration, resolution and codecs; the
+ * client-supplied values are never trusted. A poster frame is generated when the
+ * upload came without a thumbnailUrl. The author earns the upload XP once the video is ready.
+ * Runs after the upload request has been answered; the client polls GET /api/videos/:id.
+ * @param {string} videoId - Video row in "processing" state
+ * @param {{path: string, mimetype: string, size: number}} file - File written by multer
+ */
+async function processUpload(videoId, file) {
+  try {
+    if (file.size === 0 || !(await hasVideoContainerSignature(file.path))) {
+      await fs.promises.unlink(file.path).catch(() => {});
+      return markFailed(videoId, 'File is not a valid MP4 or MOV video');
+    }
+
+    let info;
+    try {
+      info = await inspectVideo(file.path);
+    } catch (error) {
+      await fs.promises.unlink(file.path).catch(() => {});
+      if (error instanceof MediaInfoError) {
+        return markFailed(videoId, error.message);
+      }
+      throw error;
+    }
+
+    if (info.duration > MAX_DURATION_SECONDS + DURATION_TOLERANCE_SECONDS) {
+      await fs.promises.unlink(file.path).catch(() => {});
+      return markFailed(videoId, `Video is ${Math.round(info.duration)} seconds long; the limit is ${MAX_DURATION_SECONDS} seconds`);
+    }
+
+    const extension = ALLOWED_VIDEO_MIME_TYPES[file.mimetype] || path.extname(file.originalname || '') || '.mp4';
+    const key = `videos/${videoId}${extension}`;
+    await storage.putFile(file.path, key);
+
+    const videoResult = await pool.query('SELECT thumbnail_url FROM videos WHERE id = $1', [videoId]);
+    if (videoResult.rows.length === 0) {
+      // Deleted while processing
+      await storage.deleteFile(key);
+      return;
+    }
+
+    const thumbnailUrl = videoResult.rows[0].thumbnail_url
+      || await storeThumbnail(videoId, storage.getFilePath(key), info.duration);
+
+    const readyResult = await pool.query(
+      `UPDATE videos
+       SET storage_key = $1, file_size = $2, mime_type = $3,
+           duration = $4, width = $5, height = $6, video_codec = $7, audio_codec = $8,
+           thumbnail_url = $9,
+           processing_status = 'ready', processing_error = NULL, updated_at = NOW()
+       WHERE id = $10
+       RETURNING author_id`,
+      [
+        key, file.size, file.mimetype,
+        Math.min(Math.round(info.duration), MAX_DURATION_SECONDS), info.width, info.height, info.videoCodec, info.audioCodec,
+        thumbnailUrl,
+        videoId
+      ]
+    );
+
+    // Uploads only earn XP once the file has passed validation
+    if (readyResult.rows.length > 0) {
+      await awardXpDirect(readyResult.rows[0].author_id, XP_REWARDS.video_upload, 'video_upload');
+    }
+
+    // Published uploads go public now; a failed announcement must not fail the upload
+    await announceNewVideos([videoId]).catch(error => {
+      console.error(`[UPLOAD] Error announcing video ${videoId}:`, error);
+    });
+
+    console.log(`[UPLOAD] Video ${videoId} ready as ${key} (${info.duration.toFixed(1)}s, ${info.width}x${info.height}, ${info.videoCodec})`);
+  } catch (error) {
+    console.error(`[UPLOAD] Error processing video ${videoId}:`, error);
+    await fs.promises.unlink(file.path).catch(() => {});
+    await markFailed(videoId, 'Processing error').catch(() => {});
+  }
+}
+
+/**
+ * Mark uploads abandoned mid-processing as failed and drop stale temporary files.
+ * Only work older than STALE_PROCESSING_MINUTES is touched, so it is safe to run while
+ * this or other instances sharing the database and UPLOAD_DIR are processing uploads.
+ * Runs at startup and periodically (see index.js).
+ */
+async function failInterruptedUploads() {
+  try {
+    const result = await pool.query(
+      `UPDATE videos SET processing_status = 'failed', processing_error = 'Processing was interrupted', updated_at = NOW()
+       WHERE processing_status = 'processing'
+         AND COALESCE(processing_started_at, created_at) < NOW() - $1 * INTERVAL '1 minute'`,
+      [STALE_PROCESSING_MINUTES]
+    );
+    if (result.rowCount > 0) {
+      console.log(`[UPLOAD] Marked ${result.rowCount} interrupted upload(s) as failed`);
+    }
+
+    const removed = await storage.removeStaleTmpFiles(STALE_PROCESSING_MINUTES * 60 * 1000);
+    if (removed > 0) {
+      console.log(`[UPLOAD] Removed ${removed} leftover temporary upload file(s)`);
+    }
+  } catch (error) {
+    console.error('[UPLOAD] Error failing interrupted uploads:', error);
+  }
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_DURATION_SECONDS,
+  ALLOWED_VIDEO_MIME_TYPES,
+  hasVideoContainerSignature,
+  processUpload,
+  failInterruptedUploads
+};
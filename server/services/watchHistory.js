@@ -0,0 +1,153 @@
+const { pool } = require('../db');
+const { cursorSelect, keysetCondition } = require('./pagination');
+
+// A user re-watching the same video within this window earns no XP and adds no view
+const WATCH_COOLDOWN_MINUTES = 5;
+
+// Most recently watched first
+const HISTORY_SORT_COLUMNS = ['w.last_watched_at', 'w.id'];
+
+/**
+ * Record one watch of a video.
+ * Every call is stored as a watch event and updates the user's history entry for the
+ * video. The view count and XP eligibility are rate limited per user and video by a
+ * cooldown row, so concurrent requests and multiple server instances agree.
+ * @param {string} userId - Viewer
+ * @param {{id: string, duration: number|null}} video - Watched video
+ * @param {number|null} watchedSeconds - Seconds actually watched, if the client reported it
+ * @returns {Promise<{counted: boolean, completionRatio: number|null}>} - counted is true when
+ *   the watch added a view and may award XP
+ */
+async function recordWatch(userId, video, watchedSeconds) {
+  const completionRatio = watchedSeconds !== null && video.duration > 0
+    ? Math.min(watchedSeconds / video.duration, 1)
+    : null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // The conditional upsert only returns a row if the cooldown had expired (or never existed)
+    const cooldownResult = await client.query(`
+      INSERT INTO video_watch_cooldowns (user_id, video_id, last_counted_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id, video_id) DO UPDATE SET last_counted_at = NOW()
+      WHERE video_watch_cooldowns.last_counted_at < NOW() - $3 * INTERVAL '1 minute'
+      RETURNING user_id
+    `, [userId, video.id, WATCH_COOLDOWN_MINUTES]);
+
+    const counted = cooldownResult.rows.length > 0;
+
+    await client.query(`
+      INSERT INTO video_watch_events (user_id, video_id, watched_seconds, completion_ratio, counted)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [userId, video.id, watchedSeconds, completionRatio, counted]);
+
+    await client.query(`
+      INSERT INTO video_watches (user_id, video_id, last_watched_seconds, max_completion_ratio)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, video_id) DO UPDATE SET
+        watch_count = video_watches.watch_count + 1,
+        last_watched_at = NOW(),
+        last_watched_seconds = COALESCE(EXCLUDED.last_watched_seconds, video_watches.last_watched_seconds),
+        max_completion_ratio = GREATEST(video_watches.max_completion_ratio, EXCLUDED.max_completion_ratio)
+    `, [userId, video.id, watchedSeconds, completionRatio]);
+
+    if (counted) {
+      await client.query('UPDATE videos SET views_count = views_count + 1 WHERE id = $1', [video.id]);
+    }
+
+    await client.query('COMMIT');
+
+    return { counted, completionRatio };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * A user's watch history, most recent first (one entry per video)
+ * @param {string} userId - User ID
+ * @param {{limit: number, offset: number, after: string[]|null}} page - From getPageParams; limit + 1 rows are fetched
+ * @returns {Promise<object[]>} - Rows joined with their videos, selected with a page_cursor
+ */
+async function getWatchHistory(userId, page) {
+  const params = [userId];
+  let keysetFilter = '';
+  if (page.after) {
+    const keyset = keysetCondition(HISTORY_SORT_COLUMNS, page.after, 2);
+    keysetFilter = `AND ${keyset.sql}`;
+    params.push(...keyset.params);
+  }
+
+  const result = await pool.query(`
+    SELECT w.video_id, w.watch_count, w.first_watched_at, w.last_watched_at,
+           w.last_watched_seconds, w.max_completion_ratio,
+           v.title, v.thumbnail_url, v.duration, v.category, v.author_id,
+           u.display_name as author_name,
+           ${cursorSelect(HISTORY_SORT_COLUMNS)}
+    FROM video_watches w
+    JOIN videos v ON v.id = w.video_id
+    JOIN users u ON u.id = v.author_id
+    WHERE w.user_id = $1 ${keysetFilter}
+    ORDER BY w.last_watched_at DESC, w.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, page.limit + 1, page.offset]);
+
+  return result.rows;
+}
+
+/**
+ * Delete a user's watch history, for one video or entirely.
+ * View counts and the XP cooldown are not affected.
+ * @param {string} userId - User ID
+ * @param {string} [videoId] - Only clear this video
+ * @returns {Promise<number>} - Number of history entries removed
+ */
+async function clearWatchHistory(userId, videoId = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM video_watch_events WHERE user_id = $1 AND ($2::uuid IS NULL OR video_id = $2)',
+      [userId, videoId]
+    );
+    const result = await client.query(
+      'DELETE FROM video_watches WHERE user_id = $1 AND ($2::uuid IS NULL OR video_id = $2)',
+      [userId, videoId]
+    );
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Drop cooldown rows that have expired; run periodically
+ */
+async function pruneWatchCooldowns() {
+  try {
+    await pool.query(
+      `DELETE FROM video_watch_cooldowns WHERE last_counted_at < NOW() - $1 * INTERVAL '1 minute'`,
+      [WATCH_COOLDOWN_MINUTES]
+    );
+  } catch (error) {
+    console.error('[WATCH] Error pruning watch cooldowns:', error);
+  }
+}
+
+module.exports = {
+  WATCH_COOLDOWN_MINUTES,
+  HISTORY_SORT_COLUMNS,
+  recordWatch,
+  getWatchHistory,
+  clearWatchHistory,
+  pruneWatchCooldowns
+};
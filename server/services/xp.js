@@ -71,6 +71,26 @@ function getCurrentLevelXp(currentLevel) {
   return 0;
 }
 
+/**
+ * Append an entry to the user's XP history
+ * @param {string} userId - User ID
+ * @param {string} actionType - Action that earned the XP
+ * @param {number} amount - XP awarded
+ * @param {number} xpAfter - Total XP after the award
+ * @param {number} levelAfter - Level after the award
+ */
+async function recordXpEvent(userId, actionType, amount, xpAfter, levelAfter) {
+  try {
+    await pool.query(
+      'INSERT INTO xp_events (user_id, action_type, amount, xp_after, level_after) VALUES ($1, $2, $3, $4, $5)',
+      [userId, actionType, amount, xpAfter, levelAfter]
+    );
+  } catch (error) {
+    // History is informational only; never fail the award because of it
+    console.error('[XP] Error recording XP event:', error);
+  }
+}
+
 /**
  * Award XP to a user for completing an action
  * @param {string} userId - User ID
@@ -111,6 +131,8 @@ async function awardXp(userId, actionType) {
       [newXp, newLevel, userId]
     );
     
+    await recordXpEvent(userId, actionType, xpAmount, newXp, newLevel);
+    
     console.log(`[XP] Awarded ${xpAmount} XP to user ${userId} for ${actionType}. New total: ${newXp}, Level: ${newLevel}`);
     
     return {
@@ -165,6 +187,8 @@ async function awardXpDirect(userId, amount, actionType = 'custom') {
       [newXp, newLevel, userId]
     );
     
+    await recordXpEvent(userId, actionType, amount, newXp, newLevel);
+    
     console.log(`[XP] Awarded ${amount} XP to user ${userId} for ${actionType}. New total: ${newXp}, Level: ${newLevel}${leveledUp ? ' (LEVEL UP!)' : ''}`);
     
     return {